@@ -0,0 +1,112 @@
+/**
+ * @file Timing of the light along the traced rays for the animation mode. Every source launches a pulse down each of
+ * its rays at a fixed period, and the pulses travel at c/n so they slow down inside the prism. Time is measured as
+ * the distance light covers in vacuum, in mm, the animation decides how fast it runs.
+ */
+
+import { FACES } from "./geometry";
+import { MathVec } from "./math";
+
+/**
+ * @typedef {Object} RayTimeline
+ * @property {number[]} starts Time at which a pulse launched at 0 starts each segment of the ray
+ * @property {number[]} durations Time it takes to go through each segment
+ * @property {number} end Time at which the pulse reaches the end of the ray
+ */
+
+/**
+ * Time a pulse takes along a ray, the optical path length of every segment
+ * @param {import("./tracer").RayPath} ray
+ * @returns {RayTimeline}
+ */
+export function rayTimeline(ray) {
+    const starts = [];
+    const durations = [];
+    let time = 0;
+    ray.segments.forEach((segment) => {
+        starts.push(time);
+        durations.push(MathVec.length(MathVec.sub(segment.to, segment.from)) * segment.index);
+        time += durations[durations.length - 1];
+    });
+    return { starts, durations, end: time };
+}
+
+/**
+ * Pulses travelling along a ray, launched at every multiple of the period from time 0
+ * @param {import("./tracer").RayPath} ray
+ * @param {RayTimeline} timeline
+ * @param {number} time
+ * @param {number} period Time between two pulses
+ * @returns {{point: number[], intensity: number}[]} Position of every pulse still on the ray and the power it carries
+ */
+export function pulsesOnRay(ray, timeline, time, period) {
+    const pulses = [];
+    let i = 0;
+    // The youngest pulse first, so the segment can only move forward
+    for (let age = time % period; age <= Math.min(time, timeline.end); age += period) {
+        while (i < ray.segments.length - 1 && timeline.starts[i + 1] <= age) {
+            i++;
+        }
+        const segment = ray.segments[i];
+        const fraction = timeline.durations[i] === 0 ? 0 : (age - timeline.starts[i]) / timeline.durations[i];
+        pulses.push({ point: MathVec.add(segment.from, MathVec.scale(MathVec.sub(segment.to, segment.from), fraction)), intensity: segment.intensity });
+    }
+    return pulses;
+}
+
+/**
+ * @typedef {Object} TopFaceEvent What a pulse does at the top face, for a while after it gets there
+ * @property {import("./tracer").RayHit} hit
+ * @property {number} strength 1 when the pulse arrives, fading to 0 over the fade time
+ * @property {number} intensity Power of the evanescent wave, or of the part refracted into the sample
+ * @property {?number[]} leak Position of the part of the pulse refracted into the sample, null when the pulse is
+ * totally reflected and only an evanescent wave reaches into the sample
+ * @property {?number} depth Penetration depth of the evanescent wave, in wavelengths, null when there's none
+ */
+
+/**
+ * Pulses that reached the top face within the fade time
+ * @param {import("./tracer").RayPath} ray
+ * @param {RayTimeline} timeline
+ * @param {number} time
+ * @param {number} period Time between two pulses
+ * @param {number} nSample Refractive index of the sample, which slows down the refracted part
+ * @param {number} fade How long an event lasts, shorter than the period
+ * @returns {TopFaceEvent[]}
+ */
+export function topFaceEvents(ray, timeline, time, period, nSample, fade) {
+    const events = [];
+    // Each segment of the ray ends on the face of the hit with the same index
+    ray.hits.forEach((hit, i) => {
+        const arrival = timeline.starts[i] + timeline.durations[i];
+        if (hit.face !== FACES.TOP || time < arrival || (time - arrival) % period > fade) {
+            return;
+        }
+
+        const age = (time - arrival) % period;
+        const segment = ray.segments[i];
+        const event = { hit, strength: 1 - age / fade, intensity: segment.intensity, leak: null, depth: null };
+        const refracted = hit.reflected ? null : MathVec.refract(MathVec.normalize(MathVec.sub(segment.to, segment.from)), hit.normal, segment.index, nSample);
+        if (refracted !== null) {
+            event.intensity *= 1 - hit.reflectance;
+            event.leak = MathVec.add(hit.point, MathVec.scale(refracted, age / nSample));
+        } else {
+            event.depth = evanescentDepth(segment.index, nSample, hit.incidenceAngle, 1);
+        }
+        events.push(event);
+    });
+    return events;
+}
+
+/**
+ * Penetration depth of the evanescent wave past a totally reflecting face, where its amplitude drops by 1/e
+ * @param {number} n1 Index of the medium of the incoming ray
+ * @param {number} n2 Index of the medium beyond the face
+ * @param {number} incidenceAngle In radians
+ * @param {number} wavelength Vacuum wavelength, the depth comes in the same unit
+ * @returns {?number} Null when the light isn't totally reflected
+ */
+export function evanescentDepth(n1, n2, incidenceAngle, wavelength) {
+    const excess = (n1 * Math.sin(incidenceAngle)) ** 2 - n2 ** 2;
+    return excess <= 0 ? null : wavelength / (2 * Math.PI * Math.sqrt(excess));
+}
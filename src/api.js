@@ -0,0 +1,244 @@
+/**
+ * @file Public interface of a simulator instance: its parameters, read and changed one by one or together, its scene
+ * document and its events. createRefractometer builds it over the state of the instance
+ */
+
+import { CUSTOM_MATERIAL } from "./catalog";
+import { CUSTOM_SHAPE } from "./geometry";
+import { loadScene } from "./scene";
+
+/**
+ * @typedef {Object} TraceResults What the last trace found, carried by the trace events
+ * @property {Object[]} traces Trace of every wavelength of the spectrum, see traceSpectrum
+ * @property {number} temperature In °C
+ * @property {?number} edgePosition Light/dark boundary on the detector, from 0 to 1, null without a boundary
+ * @property {?number} measuredIndex Sample index read at the boundary by a refractometer calibrated at the reference
+ * temperature
+ * @property {?number} compensatedIndex The reading brought back to the reference temperature
+ */
+
+/**
+ * @typedef {Object} Refractometer A mounted simulator. Every parameter is also a property of the instance, reading
+ * and setting it like get and set
+ * @property {function(string): *} get Value of a parameter
+ * @property {function(Object<string, *>)} set Change some parameters at once and trace again. The scene parameters
+ * are checked together, nothing is changed when one of the values is refused
+ * @property {function(): Object<string, *>} getParameters Every parameter with its value
+ * @property {function(): Object} getScene The scene as a document, to be saved or shared
+ * @property {function(Object)} setScene Replace the scene with a document
+ * @property {function(): TraceResults} getTrace Results of the last trace
+ * @property {function(string, function): function()} on Listen to the change events, carrying the parameters, or to
+ * the trace events, carrying the TraceResults. Returns the function removing the listener
+ * @property {function(string, function)} off Remove a listener
+ * @property {function()} destroy Stop the instance and empty its container
+ */
+
+// Read a parameter of the scene document and change it in a copy of the document
+const sampleParameter = (key) => ({ get: (scene) => scene.sample[key], set: (scene, value) => ({ ...scene, sample: { ...scene.sample, [key]: value } }) });
+const prismParameter = (key) => ({ get: (scene) => scene.prism[key], set: (scene, value) => ({ ...scene, prism: { ...scene.prism, [key]: value } }) });
+const sceneParameter = (key) => ({ get: (scene) => scene[key], set: (scene, value) => ({ ...scene, [key]: value }) });
+
+// Parameters kept in the scene document. Setting an index makes the material a custom one, as the sliders do, and
+// setting the vertices makes the prism a custom shape
+const SCENE_PARAMETERS = {
+    sampleIndex: {
+        get: (scene) => scene.sample.index,
+        set: (scene, value) => ({ ...scene, sample: { ...scene.sample, index: value, material: CUSTOM_MATERIAL, concentrationMode: false } }),
+    },
+    sampleMaterial: sampleParameter("material"),
+    concentrationMode: sampleParameter("concentrationMode"),
+    solute: sampleParameter("solute"),
+    concentration: sampleParameter("concentration"),
+    prismIndex: {
+        get: (scene) => scene.prism.index,
+        set: (scene, value) => ({ ...scene, prism: { ...scene.prism, index: value, material: CUSTOM_MATERIAL } }),
+    },
+    prismMaterial: prismParameter("material"),
+    prismShape: {
+        get: (scene) => scene.prism.shape,
+        set: (scene, value) => ({ ...scene, prism: { ...scene.prism, shape: value, vertices: null } }),
+    },
+    prismVertices: {
+        get: (scene) => scene.prism.vertices,
+        set: (scene, value) => ({ ...scene, prism: { ...scene.prism, shape: CUSTOM_SHAPE, vertices: value } }),
+    },
+    sources: sceneParameter("sources"),
+    temperature: sceneParameter("temperature"),
+    spectrum: sceneParameter("spectrum"),
+    polarization: sceneParameter("polarization"),
+    maxBounces: sceneParameter("maxBounces"),
+};
+
+const EVENTS = ["change", "trace"];
+
+/**
+ * @typedef {Object} OptionParameter Option of the view or mode of the instance, which isn't part of the scene
+ * @property {function(): *} get
+ * @property {function(*): boolean} check Whether a value can be set
+ * @property {string} expected The values check accepts, for the error message
+ * @property {function(*)} set
+ */
+
+/**
+ * Option shown by a checkbox. It goes through the checkbox, as if the user changed it
+ * @param {HTMLInputElement} element
+ * @param {function(): boolean} get
+ * @param {function(Event)} changed Handler of the changes of the checkbox
+ * @returns {OptionParameter}
+ */
+export function checkboxParameter(element, get, changed) {
+    return {
+        get,
+        check: (value) => typeof value === "boolean",
+        expected: "true or false",
+        set: (value) => {
+            element.checked = value;
+            changed({ target: element });
+        },
+    };
+}
+
+/**
+ * Numeric option in a range. The option keeps the value as given and its control only shows it: a slider holds the
+ * value times its scale and stops at its steps, so it goes to the nearest one
+ * @param {HTMLInputElement} element
+ * @param {function(): number} get
+ * @param {function(number)} setValue
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [scale] Scale of a slider, a number field holds the value itself
+ * @returns {OptionParameter}
+ */
+export function numberParameter(element, get, setValue, min, max, scale) {
+    return {
+        get,
+        check: (value) => typeof value === "number" && value >= min && value <= max,
+        expected: `a number from ${min} to ${max}`,
+        set: (value) => {
+            element.value = scale === undefined ? value : Math.round(value * scale);
+            setValue(value);
+        },
+    };
+}
+
+/**
+ * @typedef {Object} InstanceState What the interface reaches of the instance
+ * @property {function(): Object} currentScene The scene as a document
+ * @property {Object<string, OptionParameter>} options The parameters outside of the scene
+ * @property {function(Object)} applyScene Replace the scene with a document checked by loadScene
+ * @property {function()} commit Keep the changes and trace again right away, so the results are there when the call
+ * returns
+ * @property {function(): TraceResults} traceResults Results of the last trace
+ * @property {function()} destroy Stop the instance and empty its container
+ */
+
+/**
+ * Build the interface of an instance
+ * @param {InstanceState} state
+ * @returns {{instance: Refractometer, changed: function(), traced: function(TraceResults)}} The instance, and what
+ * tells its listeners about a change of the parameters and about a new trace
+ */
+export function createInstance(state) {
+    const listeners = {};
+    EVENTS.forEach((event) => (listeners[event] = []));
+    // Set while set changes several parameters, which then make a single change event
+    let applying = false;
+    let destroyed = false;
+
+    function emit(event, data) {
+        listeners[event].forEach((listener) => listener(data));
+    }
+    function checkEvent(event) {
+        if (!EVENTS.includes(event)) {
+            throw new RangeError(`Unknown event "${event}", the events are ${EVENTS.join(" and ")}`);
+        }
+    }
+    function on(event, listener) {
+        checkEvent(event);
+        listeners[event] = [...listeners[event], listener];
+        return () => off(event, listener);
+    }
+    function off(event, listener) {
+        checkEvent(event);
+        listeners[event] = listeners[event].filter((other) => other !== listener);
+    }
+
+    // Copies, so the values handed out can't change the state of the instance
+    function getScene() {
+        return JSON.parse(JSON.stringify(state.currentScene()));
+    }
+    function getParameters() {
+        const scene = getScene();
+        const parameters = {};
+        Object.entries(SCENE_PARAMETERS).forEach(([name, parameter]) => (parameters[name] = parameter.get(scene)));
+        Object.entries(state.options).forEach(([name, parameter]) => (parameters[name] = parameter.get()));
+        return parameters;
+    }
+    function get(name) {
+        if (SCENE_PARAMETERS[name]) {
+            return SCENE_PARAMETERS[name].get(getScene());
+        }
+        if (state.options[name]) {
+            return state.options[name].get();
+        }
+        throw new RangeError(`Unknown parameter "${name}"`);
+    }
+
+    function set(values) {
+        const names = Object.keys(values);
+        const sceneNames = names.filter((name) => SCENE_PARAMETERS[name]);
+        const optionNames = names.filter((name) => state.options[name]);
+        names.forEach((name) => {
+            if (!SCENE_PARAMETERS[name] && !state.options[name]) {
+                throw new RangeError(`Unknown parameter "${name}"`);
+            }
+        });
+        optionNames.forEach((name) => {
+            if (!state.options[name].check(values[name])) {
+                throw new RangeError(`${name} must be ${state.options[name].expected}`);
+            }
+        });
+        // The scene parameters are checked as a whole new document, an index only fits with the other one
+        const scene = sceneNames.length > 0 ? loadScene(sceneNames.reduce((doc, name) => SCENE_PARAMETERS[name].set(doc, values[name]), getScene())) : null;
+
+        applying = true;
+        try {
+            if (scene !== null) {
+                state.applyScene(scene);
+            }
+            optionNames.forEach((name) => state.options[name].set(values[name]));
+        } finally {
+            applying = false;
+        }
+        state.commit();
+    }
+    function setScene(doc) {
+        state.applyScene(loadScene(doc));
+        state.commit();
+    }
+
+    function destroy() {
+        if (destroyed) {
+            return;
+        }
+        destroyed = true;
+        state.destroy();
+        EVENTS.forEach((event) => (listeners[event] = []));
+    }
+
+    const instance = { get, set, getParameters, getScene, setScene, getTrace: state.traceResults, on, off, destroy };
+    [...Object.keys(SCENE_PARAMETERS), ...Object.keys(state.options)].forEach((name) =>
+        Object.defineProperty(instance, name, { enumerable: true, get: () => get(name), set: (value) => set({ [name]: value }) })
+    );
+
+    return {
+        instance,
+        // The changes made by set are told once it's done
+        changed: () => {
+            if (!applying && listeners.change.length > 0) {
+                emit("change", getParameters());
+            }
+        },
+        traced: (results) => emit("trace", results),
+    };
+}
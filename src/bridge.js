@@ -0,0 +1,123 @@
+/**
+ * @file postMessage bridge of a simulator embedded in an iframe. The page of the frame exposes its instance and the
+ * host page connects to it, then calls the methods of the instance and listens to its events through messages. The
+ * messages are plain objects with a type prefixed by "refractometer:"
+ */
+
+// Methods of the instance callable through the bridge, the parameters are reached through get and set
+const METHODS = ["get", "set", "getParameters", "getScene", "setScene", "getTrace"];
+
+/**
+ * Let the page embedding the frame control the instance. The frame tells its parent it is ready once listening
+ * @param {import("./api").Refractometer} instance
+ * @param {Object} [options]
+ * @param {string[]} [options.origins] Origins of the pages allowed to control the instance, e.g.
+ * "https://example.com". The messages of any other page are ignored, all of them when there is none
+ * @returns {function()} Stops answering the messages and forwarding the events
+ */
+export function exposeRefractometer(instance, { origins = [] } = {}) {
+    if (origins.includes("*")) {
+        throw new RangeError('The origins must be listed one by one, "*" is not allowed');
+    }
+    const subscriptions = [];
+
+    function received(event) {
+        const message = event.data;
+        if (!origins.includes(event.origin) || message === null || typeof message !== "object") {
+            return;
+        }
+        const reply = (data) => event.source.postMessage(data, event.origin);
+
+        if (message.type === "refractometer:call") {
+            try {
+                if (!METHODS.includes(message.method)) {
+                    throw new RangeError(`Unknown method "${message.method}"`);
+                }
+                const value = instance[message.method](...(message.args || []));
+                reply({ type: "refractometer:result", id: message.id, value: value === undefined ? null : value });
+            } catch (e) {
+                reply({ type: "refractometer:result", id: message.id, error: { name: e.name, message: e.message } });
+            }
+        } else if (message.type === "refractometer:subscribe") {
+            try {
+                subscriptions.push(instance.on(message.event, (data) => reply({ type: "refractometer:event", event: message.event, data })));
+            } catch (e) {
+                reply({ type: "refractometer:error", error: { name: e.name, message: e.message } });
+            }
+        }
+    }
+
+    window.addEventListener("message", received);
+    // Only the parent of an allowed origin gets it
+    origins.forEach((origin) => window.parent.postMessage({ type: "refractometer:ready" }, origin));
+
+    return () => {
+        window.removeEventListener("message", received);
+        subscriptions.forEach((unsubscribe) => unsubscribe());
+    };
+}
+
+/**
+ * Control an instance exposed in a frame, from the host page
+ * @param {Window} frame contentWindow of the iframe
+ * @param {string} origin Origin of the frame page, e.g. "https://example.com". The messages are only sent to it and the
+ * ones of other origins are ignored
+ * @returns {{call: function(string, ...*): Promise, get: function(string): Promise, set: function(Object): Promise,
+ * on: function(string, function), disconnect: function()}} The calls resolve with the value returned by the instance
+ * and reject with its errors
+ */
+export function connectRefractometer(frame, origin) {
+    if (typeof origin !== "string" || origin === "*") {
+        throw new RangeError("The origin of the frame page is required");
+    }
+
+    let lastId = 0;
+    const pending = new Map();
+    const listeners = [];
+
+    function received(event) {
+        const message = event.data;
+        if (event.source !== frame || event.origin !== origin || message === null || typeof message !== "object") {
+            return;
+        }
+        if (message.type === "refractometer:result" && pending.has(message.id)) {
+            const { resolve, reject } = pending.get(message.id);
+            pending.delete(message.id);
+            if (message.error) {
+                const error = new Error(message.error.message);
+                error.name = message.error.name;
+                reject(error);
+            } else {
+                resolve(message.value);
+            }
+        } else if (message.type === "refractometer:event") {
+            listeners.filter((listener) => listener.event === message.event).forEach((listener) => listener.callback(message.data));
+        }
+    }
+    window.addEventListener("message", received);
+
+    function call(method, ...args) {
+        lastId += 1;
+        const id = lastId;
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject });
+            frame.postMessage({ type: "refractometer:call", id, method, args }, origin);
+        });
+    }
+
+    return {
+        call,
+        get: (name) => call("get", name),
+        set: (values) => call("set", values),
+        // The frame forwards the events once asked to, send it after its ready message when the frame is loading
+        on(event, callback) {
+            listeners.push({ event, callback });
+            frame.postMessage({ type: "refractometer:subscribe", event }, origin);
+        },
+        disconnect() {
+            window.removeEventListener("message", received);
+            pending.clear();
+            listeners.length = 0;
+        },
+    };
+}
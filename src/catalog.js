@@ -0,0 +1,87 @@
+/**
+ * @file Bundled catalog of prism glasses and samples, with their refractive index at the sodium D line (20 °C)
+ * and their dispersion, when known. Materials without dispersion data get a Cauchy model from a typical Abbe number.
+ * Every material also has a thermal model, typical dn/dT values near room temperature.
+ */
+
+import { SOLUTES, thermalCoefficient } from "./concentration";
+import { cauchy, fromAbbeNumber, sellmeier, WAVELENGTH_D } from "./materials";
+import { linearThermal, tabulatedThermal } from "./thermal";
+
+// Key of the material following the index sliders
+export const CUSTOM_MATERIAL = "CUSTOM";
+
+// Abbe numbers of a typical crown glass and of water
+export const DEFAULT_PRISM_ABBE = 64;
+export const DEFAULT_SAMPLE_ABBE = 56;
+
+// dn/dT of a typical crown glass and of an aqueous sample, in 1/°C
+export const DEFAULT_PRISM_DNDT = 2e-6;
+export const DEFAULT_SAMPLE_DNDT = -1e-4;
+
+// nD of water between 0 and 80 °C
+const WATER_INDICES = [
+    [0, 1.33395],
+    [10, 1.33369],
+    [20, 1.33299],
+    [30, 1.33192],
+    [40, 1.33051],
+    [50, 1.32894],
+    [60, 1.32718],
+    [70, 1.32525],
+    [80, 1.32318],
+];
+
+/**
+ * @typedef {import("./materials").Material & {nD: number, thermal: import("./thermal").ThermalModel}} CatalogMaterial
+ * nD and index(λ) are at the reference temperature, the thermal model gives their shift at other temperatures
+ */
+
+/**
+ * Build a catalog entry
+ * @param {string} name Display name
+ * @param {?number} nD Refractive index at the sodium D line, computed from the dispersion when missing
+ * @param {Object} options
+ * @param {function(number): number} [options.dispersion] Refractive index as a function of the wavelength in nm
+ * @param {number} [options.abbeNumber] Abbe number used when there is no dispersion formula
+ * @param {import("./thermal").ThermalModel} options.thermal Index shift with the temperature
+ * @returns {CatalogMaterial}
+ */
+export function catalogMaterial(name, nD, { dispersion, abbeNumber, thermal }) {
+    const index = dispersion || fromAbbeNumber(nD, abbeNumber);
+    return { name, nD: nD === null ? index(WAVELENGTH_D) : nD, index, thermal };
+}
+
+export const PRISM_MATERIALS = {
+    N_BK7: catalogMaterial("N-BK7 (crown)", null, {
+        dispersion: sellmeier([1.03961212, 0.231792344, 1.01046945], [0.00600069867, 0.0200179144, 103.560653]),
+        thermal: linearThermal(1.6e-6),
+    }),
+    F2: catalogMaterial("F2 (flint)", null, {
+        dispersion: sellmeier([1.34533359, 0.209073176, 0.937357162], [0.00997743871, 0.0470450767, 111.886764]),
+        thermal: linearThermal(3.3e-6),
+    }),
+    N_SF11: catalogMaterial("N-SF11 (dense flint)", null, {
+        dispersion: sellmeier([1.73759695, 0.313747346, 1.89878101], [0.013188707, 0.0623068142, 155.23629]),
+        thermal: linearThermal(1.1e-6),
+    }),
+    N_LASF9: catalogMaterial("N-LASF9 (lanthanum flint)", null, {
+        dispersion: sellmeier([2.00029547, 0.298926886, 1.80691843], [0.0121426017, 0.0538736236, 156.530829]),
+        thermal: linearThermal(2.9e-6),
+    }),
+};
+
+export const SAMPLE_MATERIALS = {
+    WATER: catalogMaterial("Water", null, { dispersion: cauchy([1.3199, 6.878e-3, -1.132e-3, 1.11e-4]), thermal: tabulatedThermal(WATER_INDICES) }),
+    ETHANOL: catalogMaterial("Ethanol", null, { dispersion: cauchy([1.35265, 3.06e-3, 2e-5]), thermal: linearThermal(-4.0e-4) }),
+    METHANOL: catalogMaterial("Methanol", 1.3288, { abbeNumber: 57, thermal: linearThermal(-3.9e-4) }),
+    ACETONE: catalogMaterial("Acetone", 1.3588, { abbeNumber: 55, thermal: linearThermal(-5.0e-4) }),
+    SUCROSE_10: catalogMaterial("10% sucrose", 1.3479, { abbeNumber: 56, thermal: linearThermal(thermalCoefficient(SOLUTES.SUCROSE, 10)) }),
+    SUCROSE_20: catalogMaterial("20% sucrose", 1.3639, { abbeNumber: 56, thermal: linearThermal(thermalCoefficient(SOLUTES.SUCROSE, 20)) }),
+    SUCROSE_40: catalogMaterial("40% sucrose", 1.3997, { abbeNumber: 55, thermal: linearThermal(thermalCoefficient(SOLUTES.SUCROSE, 40)) }),
+    SUCROSE_60: catalogMaterial("60% sucrose", 1.4418, { abbeNumber: 53, thermal: linearThermal(thermalCoefficient(SOLUTES.SUCROSE, 60)) }),
+    NACL_10: catalogMaterial("10% NaCl", 1.3505, { abbeNumber: 54, thermal: linearThermal(thermalCoefficient(SOLUTES.NACL, 10)) }),
+    GLYCEROL: catalogMaterial("Glycerol", 1.4729, { abbeNumber: 57, thermal: linearThermal(-2.7e-4) }),
+    OLIVE_OIL: catalogMaterial("Olive oil", 1.4677, { abbeNumber: 55, thermal: linearThermal(-3.6e-4) }),
+    BENZENE: catalogMaterial("Benzene", 1.5011, { abbeNumber: 30, thermal: linearThermal(-6.4e-4) }),
+};
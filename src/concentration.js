@@ -0,0 +1,167 @@
+/**
+ * @file Conversion between the concentration of aqueous solutions and their refractive index at the sodium D line,
+ * through reference tables at 20 °C and a concentration dependent thermal coefficient.
+ */
+
+export const REFERENCE_TEMPERATURE = 20;
+
+/**
+ * @typedef {Object} Solute
+ * @property {string} name Display name
+ * @property {string} unit Concentration unit
+ * @property {number[][]} table [concentration, nD at 20 °C] pairs, sorted by concentration
+ * @property {number[][]} dndT [concentration, dn/dT in 1/°C] pairs, sorted by concentration
+ */
+
+export const SOLUTES = {
+    // ICUMSA SPS-3 sucrose table, the concentration in % w/w is the °Brix
+    SUCROSE: {
+        name: "Sucrose",
+        unit: "°Brix",
+        table: [
+            [0, 1.33299],
+            [5, 1.34026],
+            [10, 1.34782],
+            [15, 1.35568],
+            [20, 1.36384],
+            [25, 1.37233],
+            [30, 1.38115],
+            [35, 1.39032],
+            [40, 1.39986],
+            [45, 1.40978],
+            [50, 1.42009],
+            [55, 1.4308],
+            [60, 1.44193],
+            [65, 1.45348],
+            [70, 1.46546],
+            [75, 1.47787],
+            [80, 1.49071],
+            [85, 1.50398],
+        ],
+        dndT: [
+            [0, -0.8e-4],
+            [20, -1.2e-4],
+            [40, -1.6e-4],
+            [60, -2.0e-4],
+            [85, -2.4e-4],
+        ],
+    },
+    NACL: {
+        name: "Sodium chloride",
+        unit: "% w/w",
+        table: [
+            [0, 1.33299],
+            [2, 1.3365],
+            [4, 1.34],
+            [6, 1.3435],
+            [8, 1.347],
+            [10, 1.3505],
+            [12, 1.3541],
+            [14, 1.3576],
+            [16, 1.3612],
+            [18, 1.3647],
+            [20, 1.3683],
+            [22, 1.3719],
+            [24, 1.3755],
+            [26, 1.3791],
+        ],
+        dndT: [
+            [0, -0.8e-4],
+            [26, -1.2e-4],
+        ],
+    },
+    ETHANOL: {
+        name: "Ethanol",
+        unit: "% w/w",
+        table: [
+            [0, 1.33299],
+            [10, 1.3395],
+            [20, 1.3469],
+            [30, 1.3535],
+            [40, 1.3583],
+            [50, 1.3616],
+            [60, 1.3638],
+            [70, 1.3652],
+            [80, 1.3658],
+            [90, 1.365],
+            [100, 1.3611],
+        ],
+        dndT: [
+            [0, -0.8e-4],
+            [50, -2.6e-4],
+            [100, -4.0e-4],
+        ],
+    },
+};
+
+// Linear interpolation in a table of [x, y] pairs sorted by x, extrapolating from the end segments
+export function interpolate(table, x) {
+    let i = 1;
+    while (i < table.length - 1 && x > table[i][0]) {
+        i++;
+    }
+    const [x0, y0] = table[i - 1];
+    const [x1, y1] = table[i];
+    return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+}
+
+/**
+ * Highest concentration covered by the tables of the solute
+ * @param {Solute} solute
+ */
+export function maxConcentration(solute) {
+    return solute.table[solute.table.length - 1][0];
+}
+
+/**
+ * Thermal coefficient of a solution
+ * @param {Solute} solute
+ * @param {number} concentration Concentration in the unit of the solute
+ * @returns {number} dn/dT in 1/°C
+ */
+export function thermalCoefficient(solute, concentration) {
+    return interpolate(solute.dndT, concentration);
+}
+
+/**
+ * Refractive index of a solution
+ * @param {Solute} solute
+ * @param {number} concentration Concentration in the unit of the solute
+ * @param {number} [temperature] Temperature in °C, defaults to the reference temperature
+ * @returns {number} nD at the given temperature
+ */
+export function concentrationToIndex(solute, concentration, temperature = REFERENCE_TEMPERATURE) {
+    return interpolate(solute.table, concentration) + thermalCoefficient(solute, concentration) * (temperature - REFERENCE_TEMPERATURE);
+}
+
+/**
+ * Concentration of a solution from its refractive index, compensating for the temperature. Only the part of the
+ * table where the index grows with the concentration is used, so the lowest matching concentration is returned.
+ * @param {Solute} solute
+ * @param {number} index nD measured at the given temperature
+ * @param {number} [temperature] Temperature in °C, defaults to the reference temperature
+ * @returns {?number} The concentration, null if the index is out of the range of the table
+ */
+export function indexToConcentration(solute, index, temperature = REFERENCE_TEMPERATURE) {
+    // Bisection on the increasing part of the table, the thermal term is small enough to keep it monotonic
+    let low = solute.table[0][0];
+    let high = low;
+    for (let i = 1; i < solute.table.length && solute.table[i][1] > solute.table[i - 1][1]; i++) {
+        high = solute.table[i][0];
+    }
+
+    const f = (concentration) => concentrationToIndex(solute, concentration, temperature) - index;
+    if (f(low) > 0 || f(high) < 0) {
+        return null;
+    }
+
+    for (let i = 0; i < 50; i++) {
+        const middle = (low + high) / 2;
+        if (f(middle) < 0) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return (low + high) / 2;
+}
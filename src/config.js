@@ -1,19 +1,48 @@
-export const CONFIG_KEYS = {
-    RAYS_NUM: "optics_simulator_rays_num",
-    RAYS_ANGLE: "optics_simulator_rays_angle",
-    SAMPLE_RI: "optics_simulator_sample_ri",
-    PRISM_RI: "optics_simulator_prism_ri",
-    LIGHT_POS: "optics_simulator_light_pos",
-};
+/**
+ * @file Autosave of the scene in the localStorage, so the simulator starts again from where it was left.
+ */
 
-export function getConfigParameter(key, defaultValue) {
-    return localStorage.getItem(key) || defaultValue;
+import { LEGACY_SETTINGS } from "./scene";
+
+const AUTOSAVE_KEY = "optics_simulator_scene";
+// Prefix of the separate settings saved before the scene documents
+const LEGACY_PREFIX = "optics_simulator_";
+
+/**
+ * Get the saved scene document, still to be loaded with loadScene
+ * @returns {?Object} The document, null if nothing was saved
+ */
+export function loadAutosave() {
+    const saved = localStorage.getItem(AUTOSAVE_KEY);
+    if (saved !== null) {
+        try {
+            return JSON.parse(saved);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Older versions saved every setting on its own, they make an unversioned document
+    const legacy = {};
+    LEGACY_SETTINGS.forEach((name) => {
+        const value = localStorage.getItem(LEGACY_PREFIX + name);
+        if (value !== null) {
+            legacy[name] = value;
+        }
+    });
+    return Object.keys(legacy).length > 0 ? legacy : null;
 }
 
-export function setConfigParameter(key, value) {
-    localStorage.setItem(key, value);
+/**
+ * Save the scene, replacing the settings of the older versions
+ * @param {import("./scene").SceneDocument} scene
+ */
+export function saveAutosave(scene) {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(scene));
+    LEGACY_SETTINGS.forEach((name) => localStorage.removeItem(LEGACY_PREFIX + name));
 }
 
-export function unsetConfigParameter(key) {
-    localStorage.removeItem(key);
+export function clearAutosave() {
+    localStorage.removeItem(AUTOSAVE_KEY);
+    LEGACY_SETTINGS.forEach((name) => localStorage.removeItem(LEGACY_PREFIX + name));
 }
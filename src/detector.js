@@ -0,0 +1,139 @@
+/**
+ * @file Virtual linear detector placed after the back face of the prism. It collects the rays leaving the prism,
+ * builds their intensity profile, finds the light/dark boundary and turns it back into a sample refractive index,
+ * the same way a refractometer turns the position of the shadow line into a reading.
+ */
+
+import { FACES, faceByRole, prismFaces } from "./geometry";
+import { MathVec } from "./math";
+
+// Faces met by the rays that make the reading: into the prism, reflected by the top face and out of the back face
+const MEASURING_PATH = [FACES.FRONT, FACES.TOP, FACES.BACK].join(" ");
+
+/**
+ * @typedef {Object} Detector
+ * @property {number[]} start First end of the sensitive line
+ * @property {number[]} end Second end of the sensitive line
+ */
+
+/**
+ * @typedef {Object} DetectorReading
+ * @property {{intensity: number, count: number}[]} bins Mean intensity and number of rays of each bin, from start to end
+ * @property {{position: number, intensity: number, direction: number[], measuring: boolean, totalInternalReflection: boolean}[]} hits
+ * Detected rays, sorted by position. The measuring ones went from the top face straight to the back face
+ * @property {?number} edgePosition Position of the light/dark boundary along the detector (0 to 1), null if there is none
+ * @property {?number[]} edgeDirection Direction of the rays leaving the prism at the boundary
+ */
+
+/**
+ * Build a detector parallel to the back face of the prism, at the given distance from it
+ * @param {number[][]} prism Prism vertices
+ * @param {number} distance
+ * @returns {Detector}
+ */
+export function detectorFromPrism(prism, distance) {
+    const backFace = faceByRole(prismFaces(prism), FACES.BACK);
+    const offset = MathVec.scale(backFace.normal, distance);
+    return { start: MathVec.add(backFace.start, offset), end: MathVec.add(backFace.end, offset) };
+}
+
+/**
+ * Collect the rays of a trace on the detector
+ * @param {import("./tracer").TraceResult} trace
+ * @param {Detector} detector
+ * @param {number} binsCount Number of bins the detector line is divided into
+ * @returns {DetectorReading}
+ */
+export function readDetector(trace, detector, binsCount) {
+    const axis = MathVec.sub(detector.end, detector.start);
+    const axisLengthSq = MathVec.dot(axis, axis);
+    const hits = [];
+
+    trace.rays
+        .filter((ray) => ray.complete)
+        .forEach((ray) => {
+            const exit = ray.segments[ray.segments.length - 1];
+            const direction = MathVec.normalize(MathVec.sub(exit.to, exit.from));
+            const hit = MathVec.raySegmentIntersection(exit.from, direction, detector.start, detector.end);
+            if (hit) {
+                const position = MathVec.dot(MathVec.sub(hit.point, detector.start), axis) / axisLengthSq;
+                const measuring = ray.hits.map((rayHit) => rayHit.face).join(" ") === MEASURING_PATH;
+                hits.push({ position, intensity: exit.intensity, direction, measuring, totalInternalReflection: ray.totalInternalReflection });
+            }
+        });
+
+    hits.sort((a, b) => a.position - b.position);
+
+    const bins = Array.from({ length: binsCount }, () => ({ intensity: 0, count: 0 }));
+    hits.forEach((hit) => {
+        const bin = bins[Math.min(binsCount - 1, Math.floor(hit.position * binsCount))];
+        bin.intensity += hit.intensity;
+        bin.count++;
+    });
+    bins.forEach((bin) => {
+        if (bin.count > 0) {
+            bin.intensity /= bin.count;
+        }
+    });
+
+    const edge = findEdge(hits.filter((hit) => hit.measuring));
+    return {
+        bins,
+        hits,
+        edgePosition: edge === null ? null : (edge[0].position + edge[1].position) / 2,
+        edgeDirection: edge === null ? null : MathVec.normalize(MathVec.add(edge[0].direction, edge[1].direction)),
+    };
+}
+
+/**
+ * The boundary lies between two adjacent measuring rays, one totally reflected by the top face and the other one
+ * partially. Other rays reaching the detector, reflected by the other faces, have nothing to do with the critical
+ * angle. When the transitions are several, as with a spread of wavelengths, the one splitting the rays best into the
+ * totally reflected side and the partially reflected side is taken
+ * @param {{position: number, totalInternalReflection: boolean}[]} hits Measuring rays sorted by position
+ * @returns {?Object[]} The two rays on either side of the boundary, null when there is no transition
+ */
+function findEdge(hits) {
+    const totalCount = hits.filter((hit) => hit.totalInternalReflection).length;
+    let edge = null;
+    let bestScore = -1;
+    // Totally reflected rays before the transition
+    let totalBefore = 0;
+
+    for (let i = 1; i < hits.length; i++) {
+        totalBefore += hits[i - 1].totalInternalReflection ? 1 : 0;
+        if (hits[i].totalInternalReflection === hits[i - 1].totalInternalReflection) {
+            continue;
+        }
+        // Rays on the expected side of the transition, with the totally reflected ones before or after it
+        const partialAfter = hits.length - i - (totalCount - totalBefore);
+        const partialBefore = i - totalBefore;
+        const score = Math.max(totalBefore + partialAfter, partialBefore + (totalCount - totalBefore));
+        if (score > bestScore) {
+            bestScore = score;
+            edge = [hits[i - 1], hits[i]];
+        }
+    }
+    return edge;
+}
+
+/**
+ * Compute the sample refractive index from the direction of the rays at the light/dark boundary, tracing them
+ * backwards through the back face to get the incidence angle on the top face, which is the critical angle
+ * @param {number[][]} prism Prism vertices
+ * @param {number} nPrism Refractive index of the prism
+ * @param {number[]} edgeDirection Direction of the boundary rays leaving the back face
+ * @param {number} [nAir] Refractive index of the surrounding medium, defaults to 1
+ * @returns {?number} The measured index, null if the direction can't come from inside the prism
+ */
+export function measureSampleIndex(prism, nPrism, edgeDirection, nAir = 1) {
+    const faces = prismFaces(prism);
+    const inside = MathVec.refract(MathVec.scale(edgeDirection, -1), faceByRole(faces, FACES.BACK).normal, nAir, nPrism);
+
+    if (!inside) {
+        return null;
+    }
+
+    const sinCritical = Math.abs(MathVec.cross(inside, faceByRole(faces, FACES.TOP).normal));
+    return nPrism * sinCritical;
+}
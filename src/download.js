@@ -0,0 +1,18 @@
+/**
+ * @file Downloads of the files the simulator exports: the scene documents, the tables, the charts and the figures
+ */
+
+/**
+ * Have the browser save a file
+ * @param {string} name Name the file is saved with
+ * @param {string|Blob} content
+ * @param {string} type MIME type of the content
+ */
+export function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,354 @@
+/**
+ * @file Vector figures of the scene for course notes and papers. The prism, the rays and the annotations are laid out
+ * from the trace data in millimeters of the printed figure, then written as SVG or as a one page PDF. Nothing is
+ * rasterized, so the figures stay sharp at any size.
+ */
+
+import { FACES, faceByRole, prismFaces } from "./geometry";
+import { MathVec } from "./math";
+import { centralDirection, SOURCE_TYPES } from "./sources";
+import { wavelengthToColor } from "./spectrum";
+
+const MM_PER_PT = 25.4 / 72;
+
+// A4 portrait and the margin around the figure, in points
+const PDF_PAGE = [595.28, 841.89];
+const PDF_MARGIN = 42;
+
+// Sizes of the marks and of the text on the printed figure, in mm and points
+const SOURCE_MARKER_LENGTH = 5;
+const SOURCE_RADIUS = 0.8;
+const NORMAL_LENGTH = 2.5;
+const LABEL_SIZE = 6;
+const CAPTION_SIZE = 8;
+const LINE_SPACING = 1.2;
+
+/**
+ * @typedef {Object} ColorScheme Colors as 0xRRGGBB numbers
+ * @property {string} name Display name
+ * @property {number} background
+ * @property {number} prism
+ * @property {number} ray Rays carrying all their power
+ * @property {number} rayDim Rays that lost all their power, the others are blended in between
+ * @property {number} detector
+ * @property {number} source
+ * @property {number} annotation
+ * @property {number} text
+ */
+
+/** @type {Object.<string, ColorScheme>} */
+export const COLOR_SCHEMES = {
+    LIGHT: {
+        name: "Light, for print",
+        background: 0xffffff,
+        prism: 0x000000,
+        ray: 0x000000,
+        rayDim: 0xcccccc,
+        detector: 0xb00020,
+        source: 0x000000,
+        annotation: 0x0277bd,
+        text: 0x000000,
+    },
+    DARK: {
+        name: "Dark, as on screen",
+        background: 0x121212,
+        prism: 0xffffff,
+        ray: 0xffffff,
+        rayDim: 0x444444,
+        detector: 0x940000,
+        source: 0xffffff,
+        annotation: 0x4fc3f7,
+        text: 0xffffff,
+    },
+};
+
+/**
+ * @typedef {Object} LineWidths Stroke widths on the printed figure, in points
+ * @property {number} prism
+ * @property {number} ray
+ * @property {number} detector
+ * @property {number} annotation
+ */
+
+/** @type {LineWidths} */
+export const DEFAULT_LINE_WIDTHS = { prism: 1, ray: 0.5, detector: 1.5, annotation: 0.4 };
+
+/**
+ * @typedef {Object} FigureItem A shape of the figure, in mm from its top-left corner
+ * @property {string} type "path", "circle" or "text"
+ * @property {number[][]} [points] Vertices of a path
+ * @property {boolean} [closed] Whether the path goes back to its first vertex
+ * @property {number[]} [center] Center of a circle
+ * @property {number} [radius] Radius of a circle
+ * @property {string} [text] Text, one line per \n
+ * @property {number[]} [position] Start of the baseline of the first line of a text
+ * @property {number} [size] Font size of a text, in points
+ * @property {?number} [stroke] Stroke color, null for none
+ * @property {?number} [fill] Fill color, or the color of a text. Null for none
+ * @property {number} [width] Stroke width, in points
+ */
+
+/**
+ * @typedef {Object} Figure
+ * @property {number} width In mm
+ * @property {number} height In mm
+ * @property {number} background Color
+ * @property {FigureItem[]} items In drawing order
+ */
+
+// Blend between two colors, 0 gives the first one and 1 the second
+function mix(from, to, amount) {
+    const channel = (shift) => {
+        const a = (from >> shift) & 0xff;
+        const b = (to >> shift) & 0xff;
+        return Math.round(a + (b - a) * amount) << shift;
+    };
+    return channel(16) | channel(8) | channel(0);
+}
+
+/**
+ * Lay out a region of the scene as a figure of the given width
+ * @param {Object} scene
+ * @param {number[][]} scene.box Top-left and bottom-right corners of the region, in mm of the model
+ * @param {number[][]} scene.prism Prism vertices
+ * @param {import("./sources").LightSource[]} scene.sources
+ * @param {import("./detector").Detector} scene.detector
+ * @param {(import("./tracer").TraceResult & {wavelength: number})[]} scene.traces One per wavelength
+ * @param {?import("./tracer").RayPath[]} scene.annotatedRays Rays labeled with their angles, null to leave the
+ * normals, the angles and the critical angle cone out
+ * @param {string} [scene.caption] Text under the figure
+ * @param {Object} [options]
+ * @param {string} [options.scheme] Key of COLOR_SCHEMES, defaults to the light one
+ * @param {LineWidths} [options.lineWidths]
+ * @param {number} [options.width] Width of the figure, in mm
+ * @returns {Figure}
+ */
+export function buildFigure(
+    { box, prism, sources, detector, traces, annotatedRays, caption = "" },
+    { scheme = "LIGHT", lineWidths = DEFAULT_LINE_WIDTHS, width = 160 } = {}
+) {
+    const colors = COLOR_SCHEMES[scheme];
+    const [[minX, minY], [maxX, maxY]] = box;
+    const scale = width / (maxX - minX);
+    const toFigure = (point) => [(point[0] - minX) * scale, (point[1] - minY) * scale];
+    const items = [];
+    const figurePath = (points, stroke, strokeWidth, closed = false, fill = null) =>
+        items.push({ type: "path", points, closed, stroke, fill, width: strokeWidth });
+    const path = (points, ...style) => figurePath(points.map(toFigure), ...style);
+    const label = (text, position, offset) =>
+        items.push({ type: "text", text, position: MathVec.add(toFigure(position), offset), size: LABEL_SIZE, fill: colors.annotation });
+
+    const faces = prismFaces(prism);
+    const degrees = (angle) => ((180 / Math.PI) * Math.abs(angle)).toFixed(1);
+    const annotated = annotatedRays !== null && traces.length > 0;
+
+    // The critical angle cone goes first so the rays cross over it
+    const criticalAngle = annotated ? traces[0].criticalAngle : NaN;
+    if (!Number.isNaN(criticalAngle)) {
+        const top = faceByRole(faces, FACES.TOP);
+        const apex = MathVec.scale(MathVec.add(top.start, top.end), 0.5);
+        const inward = MathVec.scale(top.normal, -1);
+        const radius = 0.35 * MathVec.length(MathVec.sub(top.end, top.start));
+        const arc = Array.from({ length: 33 }, (_, i) => MathVec.add(apex, MathVec.scale(MathVec.rotate2d(...inward, criticalAngle * (i / 16 - 1)), radius)));
+        path([apex, ...arc], colors.annotation, lineWidths.annotation, true, mix(colors.background, colors.annotation, 0.15));
+        label(`θc ${degrees(criticalAngle)}°`, MathVec.add(apex, MathVec.scale(inward, radius)), [0, 3]);
+    }
+
+    // Same styling as on screen: the more power a ray carries the closer it is to the full color
+    const colored = traces.length > 1;
+    traces.forEach((trace) => {
+        const full = colored ? wavelengthToColor(trace.wavelength) : colors.ray;
+        trace.rays.forEach((ray) => {
+            ray.segments.forEach((segment) => path([segment.from, segment.to], mix(colors.rayDim, full, segment.intensity), lineWidths.ray));
+        });
+    });
+
+    path(prism, colors.prism, lineWidths.prism, true);
+    path([detector.start, detector.end], colors.detector, lineWidths.detector);
+
+    const frontNormal = faceByRole(faces, FACES.FRONT).normal;
+    sources.forEach((source) => {
+        const direction = centralDirection(source, frontNormal);
+        const center = toFigure(source.position);
+        if (source.type !== SOURCE_TYPES.POINT) {
+            const half = MathVec.scale([-direction[1], direction[0]], source.width / 2);
+            path([MathVec.add(source.position, half), MathVec.sub(source.position, half)], colors.source, lineWidths.prism);
+        }
+        items.push({ type: "circle", center, radius: SOURCE_RADIUS, stroke: null, fill: colors.source, width: 0 });
+        figurePath([center, MathVec.add(center, MathVec.scale(direction, SOURCE_MARKER_LENGTH))], colors.source, lineWidths.annotation);
+    });
+
+    if (annotated) {
+        const normal = (hit, length) => {
+            const point = toFigure(hit.point);
+            return [MathVec.add(point, MathVec.scale(hit.normal, -length)), MathVec.add(point, MathVec.scale(hit.normal, length))];
+        };
+        const faint = mix(colors.background, colors.annotation, 0.35);
+        traces[0].rays.forEach((ray) => {
+            ray.hits.forEach((hit) => figurePath(normal(hit, NORMAL_LENGTH), faint, lineWidths.annotation));
+        });
+        annotatedRays.forEach((ray) => {
+            ray.hits.forEach((hit) => {
+                figurePath(normal(hit, 2 * NORMAL_LENGTH), colors.annotation, lineWidths.annotation);
+                label(`θi ${degrees(hit.incidenceAngle)}°\n${hit.reflected ? "θr" : "θt"} ${degrees(hit.outgoingAngle)}°`, hit.point, [1.5, 2.5]);
+            });
+        });
+    }
+
+    // The caption takes its own room under the scene
+    const sceneHeight = (maxY - minY) * scale;
+    const lineHeight = CAPTION_SIZE * MM_PER_PT * LINE_SPACING;
+    const captionLines = caption === "" ? 0 : caption.split("\n").length;
+    if (captionLines > 0) {
+        items.push({ type: "text", text: caption, position: [0, sceneHeight + lineHeight * 1.5], size: CAPTION_SIZE, fill: colors.text });
+    }
+
+    return { width, height: sceneHeight + lineHeight * (captionLines + (captionLines > 0 ? 1 : 0)), background: colors.background, items };
+}
+
+const fixed = (value) => +value.toFixed(3);
+const hex = (color) => `#${color.toString(16).padStart(6, "0")}`;
+const escapeXML = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * Write a figure as a standalone SVG document, sized in mm
+ * @param {Figure} figure
+ * @returns {string}
+ */
+export function figureToSVG(figure) {
+    const paint = (color) => (color === null ? "none" : hex(color));
+    const stroke = (item) => `stroke="${paint(item.stroke)}" stroke-width="${fixed(item.width * MM_PER_PT)}"`;
+    const lines = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${fixed(figure.width)}mm" height="${fixed(figure.height)}mm" viewBox="0 0 ${fixed(
+            figure.width
+        )} ${fixed(figure.height)}">`,
+        `<rect width="100%" height="100%" fill="${hex(figure.background)}"/>`,
+        `<g stroke-linecap="round" stroke-linejoin="round" font-family="Helvetica, Arial, sans-serif">`,
+    ];
+
+    figure.items.forEach((item) => {
+        if (item.type === "path") {
+            const d = item.points.map((point, i) => `${i === 0 ? "M" : "L"}${fixed(point[0])} ${fixed(point[1])}`).join(" ") + (item.closed ? " Z" : "");
+            lines.push(`<path d="${d}" fill="${paint(item.fill)}" ${stroke(item)}/>`);
+        } else if (item.type === "circle") {
+            lines.push(`<circle cx="${fixed(item.center[0])}" cy="${fixed(item.center[1])}" r="${fixed(item.radius)}" fill="${paint(item.fill)}" ${stroke(item)}/>`);
+        } else {
+            const size = item.size * MM_PER_PT;
+            const spans = item.text
+                .split("\n")
+                .map((line, i) => `<tspan x="${fixed(item.position[0])}" dy="${i === 0 ? 0 : fixed(size * LINE_SPACING)}">${escapeXML(line)}</tspan>`);
+            lines.push(`<text x="${fixed(item.position[0])}" y="${fixed(item.position[1])}" font-size="${fixed(size)}" fill="${paint(item.fill)}">${spans.join("")}</text>`);
+        }
+    });
+
+    lines.push("</g>", "</svg>");
+    return lines.join("\n") + "\n";
+}
+
+// Greek letters aren't in the encoding of the standard text fonts, they are taken from the Symbol font
+const SYMBOL_LETTERS = { θ: "q", λ: "l", Δ: "D" };
+
+// Text of a line as PDF operators, switching to the Symbol font for the Greek letters
+function pdfText(line, size) {
+    const runs = [];
+    Array.from(line).forEach((char) => {
+        const font = SYMBOL_LETTERS[char] ? "F2" : "F1";
+        const code = SYMBOL_LETTERS[char] ? SYMBOL_LETTERS[char].charCodeAt(0) : char.charCodeAt(0);
+        // Latin-1 matches the Windows encoding of the text font, the rest has no glyph
+        let encoded = code < 0x20 || code > 0xff || (code >= 0x7f && code < 0xa0) ? "?" : String.fromCharCode(code);
+        if ("()\\".includes(encoded)) {
+            encoded = `\\${encoded}`;
+        } else if (code >= 0x80 && code <= 0xff) {
+            encoded = `\\${code.toString(8)}`;
+        }
+        if (runs.length > 0 && runs[runs.length - 1].font === font) {
+            runs[runs.length - 1].text += encoded;
+        } else {
+            runs.push({ font, text: encoded });
+        }
+    });
+    return runs.map((run) => `/${run.font} ${size} Tf (${run.text}) Tj`).join(" ");
+}
+
+/**
+ * Write a figure as a one page A4 PDF, centered on the page. The figure keeps its size unless it doesn't fit within
+ * the margins, the line widths and the text keep theirs in any case
+ * @param {Figure} figure
+ * @returns {string} The PDF file, every character is one byte
+ */
+export function figureToPDF(figure) {
+    const [pageWidth, pageHeight] = PDF_PAGE;
+    const scale = Math.min(1 / MM_PER_PT, (pageWidth - 2 * PDF_MARGIN) / figure.width, (pageHeight - 2 * PDF_MARGIN) / figure.height);
+    const left = (pageWidth - figure.width * scale) / 2;
+    const top = pageHeight - PDF_MARGIN;
+    // PDF coordinates start from the bottom-left corner of the page, in points
+    const x = (point) => fixed(left + point[0] * scale);
+    const y = (point) => fixed(top - point[1] * scale);
+    const rgb = (color) => [16, 8, 0].map((shift) => fixed(((color >> shift) & 0xff) / 255)).join(" ");
+    const paint = (item) => {
+        const operators = [];
+        if (item.stroke !== null) {
+            operators.push(`${fixed(item.width)} w ${rgb(item.stroke)} RG`);
+        }
+        if (item.fill !== null) {
+            operators.push(`${rgb(item.fill)} rg`);
+        }
+        return operators.join(" ");
+    };
+    const draw = (item) => (item.stroke !== null && item.fill !== null ? "B" : item.stroke !== null ? "S" : "f");
+
+    const ops = [
+        "1 J 1 j",
+        `${rgb(figure.background)} rg ${fixed(left)} ${fixed(top - figure.height * scale)} ${fixed(figure.width * scale)} ${fixed(figure.height * scale)} re f`,
+    ];
+    figure.items.forEach((item) => {
+        if (item.type === "path") {
+            const segments = item.points.map((point, i) => `${x(point)} ${y(point)} ${i === 0 ? "m" : "l"}`).join(" ");
+            ops.push(`${paint(item)} ${segments}${item.closed ? " h" : ""} ${draw(item)}`);
+        } else if (item.type === "circle") {
+            // Four Bézier quarters
+            const [cx, cy] = [left + item.center[0] * scale, top - item.center[1] * scale];
+            const r = item.radius * scale;
+            const k = 0.5523 * r;
+            const curve = (points) => `${points.map(fixed).join(" ")} c`;
+            ops.push(
+                [
+                    paint(item),
+                    `${fixed(cx + r)} ${fixed(cy)} m`,
+                    curve([cx + r, cy + k, cx + k, cy + r, cx, cy + r]),
+                    curve([cx - k, cy + r, cx - r, cy + k, cx - r, cy]),
+                    curve([cx - r, cy - k, cx - k, cy - r, cx, cy - r]),
+                    curve([cx + k, cy - r, cx + r, cy - k, cx + r, cy]),
+                    draw(item),
+                ].join(" ")
+            );
+        } else {
+            item.text.split("\n").forEach((line, i) => {
+                const position = [item.position[0], item.position[1] + i * item.size * MM_PER_PT * LINE_SPACING];
+                ops.push(`BT ${rgb(item.fill)} rg 1 0 0 1 ${x(position)} ${y(position)} Tm ${pdfText(line, item.size)} ET`);
+            });
+        }
+    });
+    const content = ops.join("\n");
+
+    const objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Symbol >>",
+    ];
+    let pdf = "%PDF-1.4\n";
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+}
@@ -0,0 +1,67 @@
+/**
+ * @file Figure panel of a simulator instance: the color scheme, the size and the line widths of the figure, and its
+ * SVG and PDF exports
+ */
+
+import { downloadFile } from "./download";
+import { buildFigure, COLOR_SCHEMES, figureToPDF, figureToSVG } from "./figure";
+
+/**
+ * @typedef {Object} FigurePanelState What the figure panel reaches of the instance
+ * @property {function(): Object} scene What the canvas shows, as buildFigure takes it, without the caption
+ * @property {function(): string} caption Caption of the figure when the panel asks for one
+ * @property {function(string)} showMessage Show why the figure can't be made, an empty message clears it
+ */
+
+/**
+ * Wire the figure panel of an instance
+ * @param {function(string): HTMLElement} ref Element of the instance by its data-ref
+ * @param {FigurePanelState} state
+ */
+export function createFigurePanel(ref, state) {
+    const schemeEl = ref("figureScheme");
+    const widthEl = ref("figureWidth");
+    const prismWidthEl = ref("figurePrismWidth");
+    const rayWidthEl = ref("figureRayWidth");
+    const detectorWidthEl = ref("figureDetectorWidth");
+    const annotationWidthEl = ref("figureAnnotationWidth");
+    const captionEl = ref("figureCaption");
+    ref("exportSvg").addEventListener("click", exportSvg);
+    ref("exportPdf").addEventListener("click", exportPdf);
+
+    Object.entries(COLOR_SCHEMES).forEach(([key, scheme]) => schemeEl.add(new Option(scheme.name, key)));
+
+    function exportFigure() {
+        const lineWidths = {
+            prism: parseFloat(prismWidthEl.value),
+            ray: parseFloat(rayWidthEl.value),
+            detector: parseFloat(detectorWidthEl.value),
+            annotation: parseFloat(annotationWidthEl.value),
+        };
+        const width = parseFloat(widthEl.value);
+
+        if (!Object.values(lineWidths).every((lineWidth) => lineWidth > 0 && lineWidth <= 10)) {
+            state.showMessage("The line widths of the figure must be between 0 and 10 pt");
+            return null;
+        }
+        if (!(width >= 20 && width <= 1000)) {
+            state.showMessage("The figure must be between 20 and 1000 mm wide");
+            return null;
+        }
+        state.showMessage("");
+
+        return buildFigure({ ...state.scene(), caption: captionEl.checked ? state.caption() : "" }, { scheme: schemeEl.value, lineWidths, width });
+    }
+    function exportSvg() {
+        const figure = exportFigure();
+        if (figure !== null) {
+            downloadFile("refractometer-figure.svg", figureToSVG(figure), "image/svg+xml");
+        }
+    }
+    function exportPdf() {
+        const figure = exportFigure();
+        if (figure !== null) {
+            downloadFile("refractometer-figure.pdf", figureToPDF(figure), "application/pdf");
+        }
+    }
+}
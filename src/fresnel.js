@@ -0,0 +1,31 @@
+/**
+ * @file Fresnel equations for the power reflectance of a plane interface between two dielectric media
+ */
+
+export const POLARIZATIONS = {
+    S: "s",
+    P: "p",
+    UNPOLARIZED: "unpolarized",
+};
+
+/**
+ * Compute the reflectance of an interface for s, p and unpolarized light
+ * @param {number} n1 Refractive index of the medium the light comes from
+ * @param {number} n2 Refractive index of the medium beyond the interface
+ * @param {number} incidenceAngle Angle between the incoming ray and the normal, in radians
+ * @returns {{s: number, p: number, unpolarized: number}} Reflected fraction of the incoming power, 1 on total
+ * internal reflection
+ */
+export function fresnelReflectance(n1, n2, incidenceAngle) {
+    const cosI = Math.abs(Math.cos(incidenceAngle));
+    const sinT = (n1 / n2) * Math.sin(Math.abs(incidenceAngle));
+
+    if (sinT >= 1) {
+        return { s: 1, p: 1, unpolarized: 1 };
+    }
+
+    const cosT = Math.sqrt(1 - sinT * sinT);
+    const s = ((n1 * cosI - n2 * cosT) / (n1 * cosI + n2 * cosT)) ** 2;
+    const p = ((n1 * cosT - n2 * cosI) / (n1 * cosT + n2 * cosI)) ** 2;
+    return { s, p, unpolarized: (s + p) / 2 };
+}
@@ -0,0 +1,174 @@
+/**
+ * @file Prism geometry. A prism is any convex polygon, given by its vertices: the faces, their outward normals and
+ * their role in the refractometer are derived from the shape rather than assumed.
+ */
+
+import { EPSILON, MathVec } from "./math";
+
+export const FACES = {
+    FRONT: "front",
+    TOP: "top",
+    BACK: "back",
+    SIDE: "side",
+};
+
+/**
+ * @typedef {Object} PrismFace
+ * @property {string} role One of FACES. The top face holds the sample, the front face is the one next to its left
+ * end, where the light comes in, and the back face is the one next to its right end, where the light goes out
+ * @property {number[]} start First vertex
+ * @property {number[]} end Second vertex
+ * @property {number[]} normal Outward unit normal
+ */
+
+/**
+ * Get the centroid of the vertices
+ * @param {number[][]} vertices
+ */
+export function centroid(vertices) {
+    return MathVec.scale(vertices.reduce(MathVec.add, [0, 0]), 1 / vertices.length);
+}
+
+/**
+ * Check that the vertices, taken in order, make a non degenerate convex polygon
+ * @param {number[][]} vertices
+ */
+export function isConvex(vertices) {
+    if (vertices.length < 3) {
+        return false;
+    }
+    let sign = 0;
+    for (let i = 0; i < vertices.length; i++) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        const c = vertices[(i + 2) % vertices.length];
+        const turn = MathVec.cross(MathVec.sub(b, a), MathVec.sub(c, b));
+        if (Math.abs(turn) < EPSILON || (sign !== 0 && Math.sign(turn) !== sign)) {
+            return false;
+        }
+        sign = Math.sign(turn);
+    }
+    return true;
+}
+
+/**
+ * Split the prism into faces and find the role of each one. The top face is the one facing up the most, which in
+ * screen coordinates means with the most negative y component of the normal
+ * @param {number[][]} vertices Vertices of a convex polygon, in either winding order
+ * @returns {PrismFace[]}
+ */
+export function prismFaces(vertices) {
+    const inner = centroid(vertices);
+    const faces = vertices.map((start, i) => {
+        const end = vertices[(i + 1) % vertices.length];
+        return { role: FACES.SIDE, start, end, normal: MathVec.outwardNormal(start, end, inner) };
+    });
+
+    const top = faces.reduce((best, face) => (face.normal[1] < best.normal[1] ? face : best));
+    top.role = FACES.TOP;
+
+    const [left, right] = top.start[0] < top.end[0] ? [top.start, top.end] : [top.end, top.start];
+    faces.forEach((face) => {
+        if (face === top) {
+            return;
+        }
+        if (face.start === left || face.end === left) {
+            face.role = FACES.FRONT;
+        } else if (face.start === right || face.end === right) {
+            face.role = FACES.BACK;
+        }
+    });
+
+    return faces;
+}
+
+/**
+ * Check whether a point lies inside the prism
+ * @param {number[][]} vertices Vertices of a convex polygon
+ * @param {number[]} point
+ */
+export function containsPoint(vertices, point) {
+    return prismFaces(vertices).every((face) => MathVec.dot(MathVec.sub(point, face.start), face.normal) < 0);
+}
+
+/**
+ * Find the face with the given role
+ * @param {PrismFace[]} faces
+ * @param {string} role One of FACES
+ * @returns {PrismFace}
+ */
+export function faceByRole(faces, role) {
+    return faces.find((face) => face.role === role);
+}
+
+/**
+ * Build a triangular prism hanging below its top face
+ * @param {number[]} topLeft Left end of the top face
+ * @param {number} length Length of the top face
+ * @param {number} frontAngle Angle between the top and the front face, in degrees
+ * @param {number} backAngle Angle between the top and the back face, in degrees
+ * @returns {?number[][]} The vertices, null if the angles don't make a triangle
+ */
+export function trianglePrism(topLeft, length, frontAngle, backAngle) {
+    const alpha = (Math.PI / 180) * frontAngle;
+    const beta = (Math.PI / 180) * backAngle;
+
+    if (alpha <= 0 || beta <= 0 || alpha + beta >= Math.PI) {
+        return null;
+    }
+
+    // Law of sines for the length of the front face
+    const frontLength = (length * Math.sin(beta)) / Math.sin(alpha + beta);
+    return [topLeft, [topLeft[0] + length, topLeft[1]], [topLeft[0] + frontLength * Math.cos(alpha), topLeft[1] + frontLength * Math.sin(alpha)]];
+}
+
+/**
+ * Build a prism shaped as an isosceles trapezoid below its top face, like the prism of a dipping refractometer
+ * @param {number[]} topLeft Left end of the top face
+ * @param {number} length Length of the top face
+ * @param {number} height Distance between the top and the bottom face
+ * @param {number} sideAngle Angle between the top face and the front and back faces, in degrees
+ * @returns {?number[][]} The vertices, null if the front and back faces cross each other
+ */
+export function trapezoidPrism(topLeft, length, height, sideAngle) {
+    const offset = height / Math.tan((Math.PI / 180) * sideAngle);
+
+    if (sideAngle <= 0 || sideAngle >= 180 || 2 * offset >= length) {
+        return null;
+    }
+
+    return [topLeft, [topLeft[0] + length, topLeft[1]], [topLeft[0] + length - offset, topLeft[1] + height], [topLeft[0] + offset, topLeft[1] + height]];
+}
+
+/**
+ * Measure the top face of the prism and the angles it makes with the front and back faces
+ * @param {number[][]} vertices
+ * @returns {{length: number, frontAngle: number, backAngle: number}} Length and angles in degrees
+ */
+export function topFaceAngles(vertices) {
+    const faces = prismFaces(vertices);
+    const top = faceByRole(faces, FACES.TOP);
+    // Interior angle at the vertex shared by the two faces
+    const angleAt = (face) => {
+        const shared = face.start === top.start || face.end === top.start ? top.start : top.end;
+        const otherTop = shared === top.start ? top.end : top.start;
+        const otherFace = face.start === shared ? face.end : face.start;
+        return (180 / Math.PI) * Math.abs(MathVec.angleBetween(MathVec.sub(otherTop, shared), MathVec.sub(otherFace, shared)));
+    };
+    return {
+        length: MathVec.length(MathVec.sub(top.end, top.start)),
+        frontAngle: angleAt(faceByRole(faces, FACES.FRONT)),
+        backAngle: angleAt(faceByRole(faces, FACES.BACK)),
+    };
+}
+
+// Key of the free polygon edited by dragging its vertices
+export const CUSTOM_SHAPE = "CUSTOM";
+
+// Prism shapes of common refractometers. Triangles keep the current top face length, lengths are in mm
+export const PRISM_SHAPES = {
+    RIGHT_ANGLE: { name: "Right angle (45-45-90)", frontAngle: 45, backAngle: 45 },
+    ABBE: { name: "Abbe (30-60-90)", frontAngle: 30, backAngle: 60 },
+    PULFRICH: { name: "Pulfrich (90° exit face)", frontAngle: 45, backAngle: 90 },
+    DIPPING: { name: "Dipping", trapezoid: { length: 80, height: 120, sideAngle: 110 } },
+};
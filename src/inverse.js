@@ -0,0 +1,113 @@
+/**
+ * @file Inverse problem of the refractometer: find the sample index that puts the light/dark boundary at a measured
+ * exit angle, by solving the forward model of the prism numerically.
+ */
+
+import { FACES, faceByRole, prismFaces } from "./geometry";
+import { MathVec } from "./math";
+
+// Points sampled over the index range to bracket the solution before the bisection
+const BRACKET_SAMPLES = 200;
+const BISECTION_STEPS = 60;
+
+/**
+ * Exit angle of the boundary ray: the ray reaching the top face at the critical angle, reflected towards the back
+ * face and refracted out of it
+ * @param {number[][]} prism Prism vertices
+ * @param {number} nPrism
+ * @param {number} nSample
+ * @param {number} [nAir] Refractive index of the surrounding medium, defaults to 1
+ * @returns {?number} Signed angle from the normal of the back face to the leaving ray, in radians, null when the
+ * sample has no critical angle or the ray is totally reflected by the back face
+ */
+export function boundaryExitAngle(prism, nPrism, nSample, nAir = 1) {
+    if (nSample >= nPrism) {
+        return null;
+    }
+
+    const faces = prismFaces(prism);
+    const top = faceByRole(faces, FACES.TOP);
+    const backNormal = faceByRole(faces, FACES.BACK).normal;
+    // Light goes through the prism from the front face, on the left of the top face, to the back face
+    const along = MathVec.normalize(top.start[0] < top.end[0] ? MathVec.sub(top.end, top.start) : MathVec.sub(top.start, top.end));
+    const criticalAngle = Math.asin(nSample / nPrism);
+    const reflected = MathVec.sub(MathVec.scale(along, Math.sin(criticalAngle)), MathVec.scale(top.normal, Math.cos(criticalAngle)));
+
+    const exit = MathVec.refract(reflected, backNormal, nPrism, nAir);
+    return exit === null ? null : MathVec.angleBetween(backNormal, exit);
+}
+
+/**
+ * Find the sample index whose boundary ray leaves the back face at the given angle. The index is searched between
+ * the index of the surrounding medium and the one of the prism, the range a refractometer can measure
+ * @param {number[][]} prism Prism vertices
+ * @param {number} nPrism
+ * @param {number} exitAngle Measured exit angle of the boundary, signed from the normal of the back face, in radians
+ * @param {number} [nAir] Refractive index of the surrounding medium, defaults to 1
+ * @returns {?number} The sample index, null if no sample in range gives that angle
+ */
+export function solveSampleIndex(prism, nPrism, exitAngle, nAir = 1) {
+    const residual = (nSample) => {
+        const angle = boundaryExitAngle(prism, nPrism, nSample, nAir);
+        return angle === null ? null : angle - exitAngle;
+    };
+
+    // Bracket the root between two samples with residuals of opposite signs
+    let low = null;
+    let high = null;
+    let previous = null;
+    for (let i = 0; i <= BRACKET_SAMPLES && low === null; i++) {
+        // The top end is just below the prism index, where the critical angle becomes grazing
+        const nSample = nAir + ((nPrism - nAir) * i * (1 - 1e-9)) / BRACKET_SAMPLES;
+        const value = residual(nSample);
+        if (value === 0) {
+            return nSample;
+        }
+        if (value !== null && previous !== null && Math.sign(value) !== Math.sign(previous.value)) {
+            [low, high] = [previous.nSample, nSample];
+        }
+        previous = value === null ? null : { nSample, value };
+    }
+
+    if (low === null) {
+        return null;
+    }
+
+    const lowSign = Math.sign(residual(low));
+    for (let i = 0; i < BISECTION_STEPS; i++) {
+        const middle = (low + high) / 2;
+        if (Math.sign(residual(middle)) === lowSign) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Solve for the sample index and propagate the uncertainty of the measured angle, solving again at both ends of
+ * its interval
+ * @param {number[][]} prism Prism vertices
+ * @param {number} nPrism
+ * @param {number} exitAngle Measured exit angle, in radians
+ * @param {number} angleUncertainty Uncertainty of the angle, in radians
+ * @param {number} [nAir] Refractive index of the surrounding medium, defaults to 1
+ * @returns {?{nSample: number, uncertainty: ?number}} The index and its uncertainty, which is null when neither end
+ * of the interval has a solution. Null when the angle itself has no solution
+ */
+export function solveWithUncertainty(prism, nPrism, exitAngle, angleUncertainty, nAir = 1) {
+    const nSample = solveSampleIndex(prism, nPrism, exitAngle, nAir);
+    if (nSample === null) {
+        return null;
+    }
+    if (angleUncertainty === 0) {
+        return { nSample, uncertainty: 0 };
+    }
+
+    const deviations = [exitAngle - angleUncertainty, exitAngle + angleUncertainty]
+        .map((angle) => solveSampleIndex(prism, nPrism, angle, nAir))
+        .filter((n) => n !== null)
+        .map((n) => Math.abs(n - nSample));
+    return { nSample, uncertainty: deviations.length === 0 ? null : Math.max(...deviations) };
+}
@@ -0,0 +1,7 @@
+/**
+ * @file Entry of the library build of the simulator, the global Refractometer of a script tag: the instances, and the
+ * postMessage bridge for a frame exposing its instance and for the host page connecting to it
+ */
+
+export { connectRefractometer, exposeRefractometer } from "./bridge";
+export { createRefractometer } from "./refractometer";
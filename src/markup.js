@@ -0,0 +1,251 @@
+/**
+ * @file Markup of a simulator instance: the canvases, the readouts and the controls. The elements are named by their
+ * data-ref attribute instead of an id, so several instances can live on the same page
+ */
+
+export const WIDGET_MARKUP = `<div class="refractometer" data-ref="root" tabindex="0" role="region" aria-label="Refractometer simulator">
+    <div class="scene-layout">
+        <div class="render-container" data-ref="render-container">
+            <div class="ray-tooltip" data-ref="rayTooltip" hidden></div>
+            <div class="viewport-height" data-ref="viewportHeight" aria-hidden="true"></div>
+        </div>
+        <p class="visually-hidden" data-ref="opticsAnnouncement" aria-live="polite" aria-atomic="true"></p>
+        <details class="ray-data-panel" data-ref="rayDataPanel">
+            <summary>Ray data</summary>
+            <button type="button" data-ref="exportRayData">Export CSV</button>
+            <div class="ray-data-scroll">
+                <table class="ray-data-table" data-ref="rayDataTable">
+                    <thead><tr></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        </details>
+    </div>
+    <div class="detector-container" data-ref="detector-container"></div>
+    <div data-ref="controls">
+        <div class="controls-container">
+            <label>
+                Source:
+                <select data-ref="selectedSource"></select>
+            </label>
+            <button type="button" data-ref="addSource">Add source</button>
+            <button type="button" data-ref="removeSource">Remove source</button>
+            <label>
+                Source type:
+                <select data-ref="sourceType">
+                    <option value="point">Point</option>
+                    <option value="collimated">Collimated</option>
+                    <option value="extended">Extended</option>
+                </select>
+            </label>
+            <label>
+                Rays count: <span data-ref="numRaysDisplay">5</span>
+                <input type="range" min="5" max="100" value="5" data-ref="numRays" />
+            </label>
+            <label>
+                Rays spread: <span data-ref="raysAnglesDisplay">15</span>°
+                <input type="range" min="1" max="45" value="15" data-ref="raysAngle" />
+            </label>
+            <label>
+                Source width: <span data-ref="sourceWidthDisplay">40.0</span> mm
+                <input type="range" min="5" max="200" value="40" data-ref="sourceWidth" />
+            </label>
+            <label>
+                <input type="checkbox" data-ref="sourceAim" checked />
+                Aim at the front face
+            </label>
+            <label>
+                Direction: <span data-ref="sourceAngleDisplay">0°</span>
+                <input type="range" min="-180" max="180" value="0" data-ref="sourceAngle" />
+            </label>
+            <label>
+                Emission:
+                <select data-ref="sourceDistribution">
+                    <option value="lambertian">Lambertian</option>
+                    <option value="random">Uniform random</option>
+                </select>
+            </label>
+        </div>
+        <div class="controls-container">
+            <label>
+                Max bounces: <span data-ref="maxBouncesDisplay">10</span>
+                <input type="range" min="1" max="30" value="10" data-ref="maxBounces" />
+            </label>
+            <label>
+                Refractive index of the sample: <span data-ref="nSampleDisplay">1.3030</span>
+                <input type="range" min="10000" max="20000" value="13030" data-ref="nSample" aria-keyshortcuts="[ ]" />
+            </label>
+            <label>
+                Refractive index of the prism: <span data-ref="nPrismDisplay">1.5046</span>
+                <input type="range" min="10000" max="20000" value="15046" data-ref="nPrism" aria-keyshortcuts="- =" />
+            </label>
+            <label>
+                Sample material:
+                <select data-ref="sampleMaterial">
+                    <option value="CUSTOM">Custom (slider)</option>
+                </select>
+            </label>
+            <label>
+                Prism material:
+                <select data-ref="prismMaterial">
+                    <option value="CUSTOM">Custom (slider)</option>
+                </select>
+            </label>
+            <label>
+                Spectrum:
+                <select data-ref="spectrum"></select>
+            </label>
+            <label>
+                <input type="checkbox" data-ref="showAnnotations" />
+                Show normals and angles
+            </label>
+            <p class="keyboard-hint">
+                Keys: <kbd>[</kbd> <kbd>]</kbd> sample index, <kbd>-</kbd> <kbd>=</kbd> prism index, with <kbd>Shift</kbd> for larger steps. Tab to a
+                light source, then move it with the arrows and rotate it with <kbd>,</kbd> <kbd>.</kbd>
+            </p>
+            <button type="button" data-ref="resetView" title="Drag the empty canvas to pan, use the wheel or pinch to zoom">Reset view</button>
+            <button type="button" data-ref="zoomBoundary">Zoom on the boundary</button>
+            <label>
+                Polarization:
+                <select data-ref="polarization">
+                    <option value="unpolarized">Unpolarized</option>
+                    <option value="s">s (TE)</option>
+                    <option value="p">p (TM)</option>
+                </select>
+            </label>
+        </div>
+        <div class="controls-container">
+            <label>
+                Prism shape:
+                <select data-ref="prismShape">
+                    <option value="CUSTOM">Custom (drag the vertices)</option>
+                </select>
+            </label>
+            <label>
+                Top face length: <span data-ref="prismLengthDisplay">212.1</span> mm
+                <input type="range" min="20" max="300" value="212" data-ref="prismLength" />
+            </label>
+            <label>
+                Front angle: <span data-ref="prismFrontAngleDisplay">45.0</span>°
+                <input type="range" min="10" max="170" value="45" data-ref="prismFrontAngle" />
+            </label>
+            <label>
+                Back angle: <span data-ref="prismBackAngleDisplay">45.0</span>°
+                <input type="range" min="10" max="170" value="45" data-ref="prismBackAngle" />
+            </label>
+        </div>
+        <div class="controls-container">
+            <label>
+                <input type="checkbox" data-ref="concentrationMode" />
+                Concentration mode
+            </label>
+            <label>
+                Solute:
+                <select data-ref="solute"></select>
+            </label>
+            <label>
+                Concentration: <span data-ref="concentrationDisplay">20.0</span> <span data-ref="concentrationUnit">°Brix</span>
+                <input type="range" min="0" max="850" value="200" data-ref="concentration" />
+            </label>
+            <span data-ref="concentrationReadout"></span>
+        </div>
+        <div class="controls-container">
+            <label>
+                Temperature:
+                <input type="number" min="0" max="100" step="0.5" value="20" data-ref="temperature" />
+                °C
+            </label>
+            <label title="Automatic temperature compensation, brings the reading back to 20 °C">
+                <input type="checkbox" data-ref="atc" />
+                ATC
+            </label>
+            <span data-ref="temperatureReadout"></span>
+        </div>
+        <div class="controls-container">
+            <label>
+                <input type="checkbox" data-ref="inverseMode" />
+                Inverse mode (solve the sample index)
+            </label>
+            <label>
+                Measured boundary exit angle:
+                <input type="number" min="-89" max="89" step="0.01" value="-25" data-ref="measuredAngle" disabled />
+                °
+            </label>
+            <label>
+                Angle uncertainty: ±
+                <input type="number" min="0" max="10" step="0.01" value="0.1" data-ref="angleUncertainty" disabled />
+                °
+            </label>
+            <span data-ref="inverseReadout"></span>
+        </div>
+        <div class="controls-container">
+            <label>
+                <input type="checkbox" data-ref="animationMode" />
+                Animate light pulses
+            </label>
+            <button type="button" data-ref="animationPlay" aria-pressed="true" disabled>Pause</button>
+            <label>
+                Speed: <span data-ref="animationSpeedDisplay">1.0</span>×
+                <input type="range" min="1" max="50" value="10" data-ref="animationSpeed" disabled />
+            </label>
+            <span data-ref="animationLegend" hidden>Pulses travel at c/n, the glow over the top face is the evanescent wave of a total reflection</span>
+        </div>
+        <div class="controls-container">
+            <label>
+                Sweep:
+                <select data-ref="sweepParameter"></select>
+            </label>
+            <label>
+                From: <input type="number" step="any" class="sweep-range" data-ref="sweepFrom" />
+                to: <input type="number" step="any" class="sweep-range" data-ref="sweepTo" />
+                <span data-ref="sweepUnit"></span>
+            </label>
+            <label>
+                Steps:
+                <input type="number" min="2" max="500" value="50" data-ref="sweepSteps" />
+            </label>
+            <span class="sweep-metrics" data-ref="sweepMetrics"></span>
+            <button type="button" data-ref="runSweep">Run sweep</button>
+            <button type="button" data-ref="exportSweepPng" disabled>Export PNG</button>
+            <button type="button" data-ref="exportSweepCsv" disabled>Export CSV</button>
+        </div>
+        <div class="sweep-container" data-ref="sweep-container"></div>
+        <div class="controls-container">
+            <label>
+                Figure colors:
+                <select data-ref="figureScheme"></select>
+            </label>
+            <label>
+                Width:
+                <input type="number" min="20" max="1000" step="1" value="160" class="figure-number" data-ref="figureWidth" />
+                mm
+            </label>
+            <label>
+                Line widths (pt), prism:
+                <input type="number" min="0.05" max="10" step="0.05" value="1" class="figure-number" data-ref="figurePrismWidth" />
+                rays:
+                <input type="number" min="0.05" max="10" step="0.05" value="0.5" class="figure-number" data-ref="figureRayWidth" />
+                detector:
+                <input type="number" min="0.05" max="10" step="0.05" value="1.5" class="figure-number" data-ref="figureDetectorWidth" />
+                annotations:
+                <input type="number" min="0.05" max="10" step="0.05" value="0.4" class="figure-number" data-ref="figureAnnotationWidth" />
+            </label>
+            <label>
+                <input type="checkbox" data-ref="figureCaption" checked />
+                Caption with the indices
+            </label>
+            <button type="button" data-ref="exportSvg">Export SVG</button>
+            <button type="button" data-ref="exportPdf">Export PDF</button>
+        </div>
+        <p class="validation-message" data-ref="validationMessage" role="alert"></p>
+        <div class="controls-container">
+            <button type="button" data-ref="copySceneLink">Copy scene link</button>
+            <button type="button" data-ref="downloadScene">Download scene</button>
+            <label>
+                Open scene:
+                <input type="file" accept=".json,application/json" data-ref="openScene" />
+            </label>
+            <button type="button" data-ref="resetButton">Reset</button>
+        </div>
+    </div>
+</div>`;
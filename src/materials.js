@@ -0,0 +1,62 @@
+/**
+ * @file Dispersive materials. Each material gives its refractive index as a function of the wavelength, through
+ * the Sellmeier equation for glasses or the Cauchy equation for liquids.
+ */
+
+// Wavelength of the sodium D line, at which nD is defined
+export const WAVELENGTH_D = 589.3;
+
+// Fraunhofer F and C lines, used to define the Abbe number
+const WAVELENGTH_F = 486.1;
+const WAVELENGTH_C = 656.3;
+
+const nmToUm = (nm) => nm / 1000;
+
+/**
+ * Sellmeier dispersion formula, n² = 1 + Σ Bi λ² / (λ² - Ci) with λ in µm
+ * @param {number[]} b B coefficients
+ * @param {number[]} c C coefficients, in µm²
+ * @returns {function(number): number} Refractive index as a function of the wavelength in nm
+ */
+export function sellmeier(b, c) {
+    return (wavelength) => {
+        const l2 = nmToUm(wavelength) ** 2;
+        return Math.sqrt(1 + b.reduce((sum, bi, i) => sum + (bi * l2) / (l2 - c[i]), 0));
+    };
+}
+
+/**
+ * Cauchy dispersion formula, n = A + B / λ² + C / λ⁴ + ... with λ in µm
+ * @param {number[]} coefficients A, B, C... coefficients, in µm^(2i)
+ * @returns {function(number): number} Refractive index as a function of the wavelength in nm
+ */
+export function cauchy(coefficients) {
+    return (wavelength) => {
+        const l2 = nmToUm(wavelength) ** 2;
+        return coefficients.reduce((sum, coefficient, i) => sum + coefficient / l2 ** i, 0);
+    };
+}
+
+/**
+ * Two-terms Cauchy formula matching the given nD and Abbe number, for materials known only by these two values
+ * @param {number} nD Refractive index at the sodium D line
+ * @param {number} abbeNumber (nD - 1) / (nF - nC)
+ * @returns {function(number): number} Refractive index as a function of the wavelength in nm
+ */
+export function fromAbbeNumber(nD, abbeNumber) {
+    const b = (nD - 1) / abbeNumber / (1 / nmToUm(WAVELENGTH_F) ** 2 - 1 / nmToUm(WAVELENGTH_C) ** 2);
+    return cauchy([nD - b / nmToUm(WAVELENGTH_D) ** 2, b]);
+}
+
+/**
+ * @typedef {Object} Material
+ * @property {string} name Display name
+ * @property {function(number): number} index Refractive index as a function of the wavelength in nm
+ */
+
+// Wavelengths emitted by the available light sources, in nm
+export const SPECTRA = {
+    SODIUM: { name: "Sodium lamp (589.3 nm)", wavelengths: [WAVELENGTH_D] },
+    FRAUNHOFER: { name: "F, D, C lines", wavelengths: [WAVELENGTH_F, WAVELENGTH_D, WAVELENGTH_C] },
+    WHITE: { name: "White light", wavelengths: [420, 460, 500, 540, WAVELENGTH_D, 620, 660, 700] },
+};
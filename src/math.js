@@ -0,0 +1,101 @@
+// Geometry and linear algebra
+export const PI_half = Math.PI / 2;
+export const _2PI = 2 * Math.PI;
+
+// Tolerance for the intersection tests, small enough to be under a pixel in scene units
+export const EPSILON = 1e-9;
+
+// Vector algebra, vectors are [x, y] arrays
+export const MathVec = {
+    rotate2d: (x, y, angle) => {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return [x * cos - y * sin, x * sin + y * cos];
+    },
+    add: (a, b) => [a[0] + b[0], a[1] + b[1]],
+    sub: (a, b) => [a[0] - b[0], a[1] - b[1]],
+    scale: (a, k) => [a[0] * k, a[1] * k],
+    dot: (a, b) => a[0] * b[0] + a[1] * b[1],
+    // z component of the 3d cross product
+    cross: (a, b) => a[0] * b[1] - a[1] * b[0],
+    length: (a) => Math.hypot(a[0], a[1]),
+    normalize: (a) => {
+        const len = MathVec.length(a);
+        return [a[0] / len, a[1] / len];
+    },
+    // Signed angle to rotate a onto b, in radians
+    angleBetween: (a, b) => Math.atan2(MathVec.cross(a, b), MathVec.dot(a, b)),
+    // Unit normal of the segment ab, pointing away from the given inner point
+    outwardNormal: (a, b, inner) => {
+        const edge = MathVec.sub(b, a);
+        const normal = MathVec.normalize([edge[1], -edge[0]]);
+        return MathVec.dot(normal, MathVec.sub(inner, a)) > 0 ? MathVec.scale(normal, -1) : normal;
+    },
+    /**
+     * Intersect the ray origin + t * direction with the segment ab
+     * @returns {?{point: number[], t: number}} The hit point and its distance along the ray (in units of direction),
+     * null if the ray misses the segment
+     */
+    raySegmentIntersection: (origin, direction, a, b) => {
+        const edge = MathVec.sub(b, a);
+        const denom = MathVec.cross(direction, edge);
+        // Parallel lines never meet
+        if (Math.abs(denom) < EPSILON) {
+            return null;
+        }
+        const ao = MathVec.sub(a, origin);
+        const t = MathVec.cross(ao, edge) / denom;
+        const u = MathVec.cross(ao, direction) / denom;
+        if (t <= EPSILON || u < -EPSILON || u > 1 + EPSILON) {
+            return null;
+        }
+        return { point: MathVec.add(origin, MathVec.scale(direction, t)), t };
+    },
+    /**
+     * Distance, in units of direction, after which the ray origin + t * direction leaves the box between the
+     * given corners, 0 if it starts outside of it
+     */
+    rayBoxExit: (origin, direction, min, max) => {
+        let t = Infinity;
+        for (let axis = 0; axis < 2; axis++) {
+            if (direction[axis] > EPSILON) {
+                t = Math.min(t, (max[axis] - origin[axis]) / direction[axis]);
+            } else if (direction[axis] < -EPSILON) {
+                t = Math.min(t, (min[axis] - origin[axis]) / direction[axis]);
+            }
+        }
+        return Math.max(0, t);
+    },
+    /**
+     * Distance between the point p and the segment ab
+     */
+    pointSegmentDistance: (p, a, b) => {
+        const edge = MathVec.sub(b, a);
+        const lengthSq = MathVec.dot(edge, edge);
+        const u = lengthSq < EPSILON ? 0 : Math.max(0, Math.min(1, MathVec.dot(MathVec.sub(p, a), edge) / lengthSq));
+        return MathVec.length(MathVec.sub(p, MathVec.add(a, MathVec.scale(edge, u))));
+    },
+    /**
+     * Mirror reflection of the unit direction d on a surface with unit normal n
+     */
+    reflect: (d, n) => MathVec.sub(d, MathVec.scale(n, 2 * MathVec.dot(d, n))),
+    /**
+     * Vector form of Snell's law: refract the unit direction d through a surface with unit normal n, going from a
+     * medium with index n1 to one with index n2. The normal can face either side of the surface.
+     * @returns {?number[]} The refracted unit direction, null on total internal reflection
+     */
+    refract: (d, n, n1, n2) => {
+        let cosI = -MathVec.dot(d, n);
+        // Make the normal face the incoming ray
+        if (cosI < 0) {
+            n = MathVec.scale(n, -1);
+            cosI = -cosI;
+        }
+        const eta = n1 / n2;
+        const k = 1 - eta * eta * (1 - cosI * cosI);
+        if (k < 0) {
+            return null;
+        }
+        return MathVec.add(MathVec.scale(d, eta), MathVec.scale(n, eta * cosI - Math.sqrt(k)));
+    },
+};
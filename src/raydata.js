@@ -0,0 +1,137 @@
+/**
+ * @file Tabular view of a trace: one row per ray with the angles and the points where it meets the prism faces,
+ * ready to be shown as a table or exported to CSV.
+ */
+
+import { FACES } from "./geometry";
+
+/**
+ * @typedef {Object} RayColumn
+ * @property {string} key Property of the rows holding the value
+ * @property {string} label Header, with the unit
+ * @property {number} [digits] Decimals shown for numeric values
+ */
+
+/**
+ * @typedef {Object.<string, ?(number|string|boolean)>} RayRow Values of a ray by column key, null when they don't
+ * apply, e.g. the refraction angle of a totally reflected ray
+ */
+
+const degrees = (angle) => (180 / Math.PI) * angle;
+
+/**
+ * Columns of the ray table
+ * @param {string} lengthUnit Unit of the coordinates of the hit points
+ * @returns {RayColumn[]}
+ */
+export function rayColumns(lengthUnit) {
+    const faceColumns = (role, name) => [
+        { key: `${role}X`, label: `${name} x (${lengthUnit})`, digits: 2 },
+        { key: `${role}Y`, label: `${name} y (${lengthUnit})`, digits: 2 },
+        { key: `${role}Incidence`, label: `${name} incidence (°)`, digits: 2 },
+        { key: `${role}Outgoing`, label: `${name} refraction (°)`, digits: 2 },
+    ];
+    return [
+        { key: "ray", label: "Ray" },
+        { key: "source", label: "Source" },
+        { key: "wavelength", label: "λ (nm)", digits: 1 },
+        { key: "launchAngle", label: "Launch angle (°)", digits: 2 },
+        ...faceColumns(FACES.FRONT, "Front"),
+        ...faceColumns(FACES.TOP, "Top"),
+        { key: "totalInternalReflection", label: "TIR" },
+        { key: "reflectance", label: "Reflectance (%)", digits: 2 },
+        ...faceColumns(FACES.BACK, "Back"),
+        { key: "exitAngle", label: "Exit angle (°)", digits: 2 },
+        { key: "bounces", label: "Bounces" },
+        { key: "path", label: "Path" },
+    ];
+}
+
+/**
+ * Build one row per ray of the traces. For each face the first hit of the ray is reported
+ * @param {(import("./tracer").TraceResult & {wavelength: number})[]} traces
+ * @param {number} [lengthScale] Factor converting the scene coordinates to the unit of the table
+ * @returns {RayRow[]}
+ */
+export function rayRows(traces, lengthScale = 1) {
+    const rows = [];
+
+    traces.forEach((trace) => {
+        trace.rays.forEach((ray) => {
+            const row = {
+                ray: rows.length + 1,
+                source: ray.source + 1,
+                wavelength: trace.wavelength,
+                launchAngle: degrees(ray.launchAngle),
+            };
+
+            [FACES.FRONT, FACES.TOP, FACES.BACK].forEach((role) => {
+                const hit = ray.hits.find((h) => h.face === role);
+                row[`${role}X`] = hit ? hit.point[0] * lengthScale : null;
+                row[`${role}Y`] = hit ? hit.point[1] * lengthScale : null;
+                row[`${role}Incidence`] = hit ? degrees(Math.abs(hit.incidenceAngle)) : null;
+                // There's no refraction angle when the ray is totally reflected
+                row[`${role}Outgoing`] = hit && !hit.reflected ? degrees(Math.abs(hit.outgoingAngle)) : null;
+            });
+
+            const reachesTop = ray.hits.some((h) => h.face === FACES.TOP);
+            const last = ray.hits[ray.hits.length - 1];
+            row.totalInternalReflection = reachesTop ? ray.totalInternalReflection : null;
+            row.reflectance = reachesTop ? ray.reflectance * 100 : null;
+            row.exitAngle = ray.complete ? degrees(Math.abs(last.outgoingAngle)) : null;
+            row.bounces = ray.hits.length;
+            row.path = ray.hits.map((h) => h.face).join(" > ");
+
+            rows.push(row);
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Order the rows by a column, empty values always last
+ * @param {RayRow[]} rows
+ * @param {string} key Column key
+ * @param {boolean} [descending]
+ * @returns {RayRow[]} A sorted copy of the rows
+ */
+export function sortRows(rows, key, descending = false) {
+    return [...rows].sort((a, b) => {
+        if (a[key] === null || b[key] === null) {
+            return (a[key] === null) - (b[key] === null);
+        }
+        const order = typeof a[key] === "string" ? a[key].localeCompare(b[key]) : a[key] - b[key];
+        return descending ? -order : order;
+    });
+}
+
+/**
+ * Format a value of a column for display or export
+ * @param {RayColumn} column
+ * @param {?(number|string|boolean)} value
+ * @returns {string}
+ */
+export function formatValue(column, value) {
+    if (value === null) {
+        return "";
+    }
+    if (typeof value === "boolean") {
+        return value ? "yes" : "no";
+    }
+    return typeof value === "number" && column.digits !== undefined ? value.toFixed(column.digits) : String(value);
+}
+
+/**
+ * Write a table as CSV, quoting the fields when needed. Numbers keep 6 decimals, more than the table shows
+ * @param {RayColumn[]} columns
+ * @param {RayRow[]} rows
+ * @returns {string}
+ */
+export function toCSV(columns, rows) {
+    const field = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const value = (column, row) => (typeof row[column.key] === "number" ? String(+row[column.key].toFixed(6)) : formatValue(column, row[column.key]));
+    const lines = [columns.map((column) => field(column.label)).join(",")];
+    rows.forEach((row) => lines.push(columns.map((column) => field(value(column, row))).join(",")));
+    return lines.join("\n") + "\n";
+}
@@ -0,0 +1,60 @@
+/**
+ * @file Ray data panel of a simulator instance: the table of the rays of the last trace, sorted by any column, and its
+ * CSV export
+ */
+
+import { downloadFile } from "./download";
+import { formatValue, rayColumns, rayRows, sortRows, toCSV } from "./raydata";
+
+/**
+ * Wire the ray data panel of an instance
+ * @param {function(string): HTMLElement} ref Element of the instance by its data-ref
+ * @param {function(): Object[]} traces Last trace of every wavelength
+ * @returns {{update: function()}} What fills the table again after a trace
+ */
+export function createRayTable(ref, traces) {
+    const panelEl = ref("rayDataPanel");
+    const tableEl = ref("rayDataTable");
+    panelEl.addEventListener("toggle", update);
+    ref("exportRayData").addEventListener("click", exportRayData);
+
+    // Clicking a header sorts the rows by its column and clicking it again reverses the order
+    const RAY_COLUMNS = rayColumns("mm");
+    let sort = { key: "ray", descending: false };
+    RAY_COLUMNS.forEach((column) => {
+        const header = document.createElement("th");
+        header.innerText = column.label;
+        header.addEventListener("click", () => sortChanged(column.key));
+        tableEl.tHead.rows[0].appendChild(header);
+    });
+
+    function sortChanged(key) {
+        sort = { key, descending: sort.key === key && !sort.descending };
+        update();
+    }
+    function exportRayData() {
+        downloadFile("refractometer-rays.csv", toCSV(RAY_COLUMNS, rayRows(traces())), "text/csv");
+    }
+
+    // Only while the panel is open, since the table can hold hundreds of rows
+    function update() {
+        if (!panelEl.open) {
+            return;
+        }
+
+        Array.from(tableEl.tHead.rows[0].cells).forEach((header, i) => {
+            const sorted = RAY_COLUMNS[i].key === sort.key;
+            header.innerText = `${RAY_COLUMNS[i].label}${sorted ? (sort.descending ? " ▼" : " ▲") : ""}`;
+            header.setAttribute("aria-sort", sorted ? (sort.descending ? "descending" : "ascending") : "none");
+        });
+
+        const body = document.createElement("tbody");
+        sortRows(rayRows(traces()), sort.key, sort.descending).forEach((row) => {
+            const tableRow = body.insertRow();
+            RAY_COLUMNS.forEach((column) => (tableRow.insertCell().innerText = formatValue(column, row[column.key])));
+        });
+        tableEl.replaceChild(body, tableEl.tBodies[0]);
+    }
+
+    return { update };
+}
@@ -0,0 +1,1734 @@
+/**
+ * @file This script is an interactive optics simulator displaying the path of light refracted through a prism
+ * interfacing with a liquid with the purpose of displaying the critical angle of a given sample and how it
+ * varies when changing the given parameters. It's based on Pixi.js 2D graphics library
+ *
+ * The simulator is a widget: createRefractometer mounts an instance in a container, and the page drives it through
+ * the parameters and the events of the instance. Nothing runs on import, so a page can mount as many as it needs.
+ * @author Paolo Infante
+ * @link https://www.paoloinfante.it/blog/
+ * @copyright (c) Paolo Infante 2020
+ *
+ * @license
+ * This script is free to use, share, modify, as described by the following license (FreeBSD).
+ * A tiny attribution is appreciated!
+ *
+ * Copyright (c) 2020, Paolo Infante
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation and/or
+ * other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ * EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import * as PIXI from "pixi.js";
+import { rayTimeline } from "./animation";
+import { checkboxParameter, createInstance, numberParameter } from "./api";
+import { concentrationToIndex, indexToConcentration, maxConcentration, REFERENCE_TEMPERATURE, SOLUTES, thermalCoefficient } from "./concentration";
+import { clearAutosave, loadAutosave, saveAutosave } from "./config";
+import { detectorFromPrism, readDetector } from "./detector";
+import { createFigurePanel } from "./figurepanel";
+import { POLARIZATIONS } from "./fresnel";
+import { CUSTOM_SHAPE, FACES, faceByRole, isConvex, PRISM_SHAPES, prismFaces, topFaceAngles, trapezoidPrism, trianglePrism } from "./geometry";
+import {
+    CUSTOM_MATERIAL,
+    catalogMaterial,
+    DEFAULT_PRISM_ABBE,
+    DEFAULT_PRISM_DNDT,
+    DEFAULT_SAMPLE_ABBE,
+    DEFAULT_SAMPLE_DNDT,
+    PRISM_MATERIALS,
+    SAMPLE_MATERIALS,
+} from "./catalog";
+import { solveWithUncertainty } from "./inverse";
+import { WIDGET_MARKUP } from "./markup";
+import { MathVec } from "./math";
+import { SPECTRA } from "./materials";
+import { createRayTable } from "./raytable";
+import { drawAnnotations, drawDetectorProfile, drawExitCursorHandle, drawHandle, drawPulses, drawScene, drawSource } from "./render";
+import { decodeSceneHash, defaultScene, loadScene, SCENE_VERSION, SceneError } from "./scene";
+import { createScenePanel } from "./scenepanel";
+import { centralDirection, createSource, DISTRIBUTIONS, SOURCE_TYPES } from "./sources";
+import { createSweepPanel } from "./sweeppanel";
+import { atTemperature, linearThermal, shadowLineAngles, temperatureReadings } from "./thermal";
+import { DEFAULT_MAX_BOUNCES, traceSpectrum } from "./tracer";
+import { fitView, panView, toModel, toScreen, visibleBox, zoomView } from "./view";
+import "./style/refractometer.css";
+
+/**
+ * @typedef {Object} RefractometerOptions
+ * @property {Object} [scene] Scene document to start from instead of the default one, as saved by the simulator
+ * @property {boolean} [autosave] Restore the last session from the localStorage and save every change to it. Only one
+ * instance of a page should keep the session
+ * @property {boolean} [sceneLink] Open the scene of the page link and follow it when it changes, and offer to copy
+ * links to the scene
+ * @property {boolean} [controls] Show the controls, true by default. Without them the instance is driven through its
+ * parameters only
+ */
+
+/**
+ * Mount a simulator in a container
+ * @param {HTMLElement} container Emptied and filled with the canvases and the controls
+ * @param {RefractometerOptions} [options]
+ * @returns {import("./api").Refractometer}
+ * @throws {SceneError} When the scene of the options can't be opened, before anything is mounted
+ */
+export function createRefractometer(container, options = {}) {
+    const givenScene = options.scene === undefined ? null : loadScene(options.scene);
+
+    container.innerHTML = WIDGET_MARKUP;
+    // Elements are looked up in the container, so the instances of a page don't see each other
+    const ref = (name) => container.querySelector(`[data-ref="${name}"]`);
+    ref("controls").hidden = options.controls === false;
+    // Takes the focus, the keyboard shortcuts work while it or one of its elements has it
+    const rootEl = ref("root");
+
+    let destroyed = false;
+    // Interface of the instance, made once everything it reaches is set up. The handlers running before then have
+    // nobody to tell
+    let api = null;
+
+    ///////////////////////////// HTML ELEMENTS /////////////////////////////////////////////////
+
+    const nRaysEl = ref("numRays");
+    const numRaysDisplayEl = ref("numRaysDisplay");
+    nRaysEl.addEventListener("change", raysNumberChanged);
+    nRaysEl.addEventListener("input", raysNumberChanged);
+
+    const raysAngleEl = ref("raysAngle");
+    const raysAnglesDisplayEl = ref("raysAnglesDisplay");
+    raysAngleEl.addEventListener("change", raysAngleChanged);
+    raysAngleEl.addEventListener("input", raysAngleChanged);
+
+    const selectedSourceEl = ref("selectedSource");
+    selectedSourceEl.addEventListener("change", selectedSourceChanged);
+
+    const sourceTypeEl = ref("sourceType");
+    sourceTypeEl.addEventListener("change", sourceTypeChanged);
+
+    const sourceWidthEl = ref("sourceWidth");
+    const sourceWidthDisplayEl = ref("sourceWidthDisplay");
+    sourceWidthEl.addEventListener("change", sourceWidthChanged);
+    sourceWidthEl.addEventListener("input", sourceWidthChanged);
+
+    const sourceAimEl = ref("sourceAim");
+    sourceAimEl.addEventListener("change", sourceAimChanged);
+
+    const sourceAngleEl = ref("sourceAngle");
+    const sourceAngleDisplayEl = ref("sourceAngleDisplay");
+    sourceAngleEl.addEventListener("change", sourceAngleChanged);
+    sourceAngleEl.addEventListener("input", sourceAngleChanged);
+
+    const sourceDistributionEl = ref("sourceDistribution");
+    sourceDistributionEl.addEventListener("change", sourceDistributionChanged);
+
+    ref("addSource").addEventListener("click", addSource);
+    const removeSourceButton = ref("removeSource");
+    removeSourceButton.addEventListener("click", removeSource);
+
+    const maxBouncesEl = ref("maxBounces");
+    const maxBouncesDisplayEl = ref("maxBouncesDisplay");
+    maxBouncesEl.addEventListener("change", maxBouncesChanged);
+    maxBouncesEl.addEventListener("input", maxBouncesChanged);
+
+    const nSampleEl = ref("nSample");
+    const nSampleDisplayEl = ref("nSampleDisplay");
+    nSampleEl.addEventListener("change", nSampleChanged);
+    nSampleEl.addEventListener("input", nSampleChanged);
+
+    const nPrismEl = ref("nPrism");
+    const nPrismDisplayEl = ref("nPrismDisplay");
+    nPrismEl.addEventListener("change", nPrismChanged);
+    nPrismEl.addEventListener("input", nPrismChanged);
+
+    const showAnnotationsEl = ref("showAnnotations");
+    showAnnotationsEl.addEventListener("change", showAnnotationsChanged);
+
+    const rayTooltipEl = ref("rayTooltip");
+    const opticsAnnouncementEl = ref("opticsAnnouncement");
+    rootEl.addEventListener("keydown", indexShortcut);
+
+    const polarizationEl = ref("polarization");
+    polarizationEl.addEventListener("change", polarizationChanged);
+
+    const prismMaterialEl = ref("prismMaterial");
+    prismMaterialEl.addEventListener("change", prismMaterialChanged);
+
+    const sampleMaterialEl = ref("sampleMaterial");
+    sampleMaterialEl.addEventListener("change", sampleMaterialChanged);
+
+    const spectrumEl = ref("spectrum");
+    spectrumEl.addEventListener("change", spectrumChanged);
+
+    const prismShapeEl = ref("prismShape");
+    prismShapeEl.addEventListener("change", prismShapeChanged);
+
+    const prismLengthEl = ref("prismLength");
+    const prismLengthDisplayEl = ref("prismLengthDisplay");
+    prismLengthEl.addEventListener("change", prismGeometryChanged);
+    prismLengthEl.addEventListener("input", prismGeometryChanged);
+
+    const prismFrontAngleEl = ref("prismFrontAngle");
+    const prismFrontAngleDisplayEl = ref("prismFrontAngleDisplay");
+    prismFrontAngleEl.addEventListener("change", prismGeometryChanged);
+    prismFrontAngleEl.addEventListener("input", prismGeometryChanged);
+
+    const prismBackAngleEl = ref("prismBackAngle");
+    const prismBackAngleDisplayEl = ref("prismBackAngleDisplay");
+    prismBackAngleEl.addEventListener("change", prismGeometryChanged);
+    prismBackAngleEl.addEventListener("input", prismGeometryChanged);
+
+    const concentrationModeEl = ref("concentrationMode");
+    concentrationModeEl.addEventListener("change", concentrationModeChanged);
+
+    const soluteEl = ref("solute");
+    soluteEl.addEventListener("change", soluteChanged);
+
+    const concentrationEl = ref("concentration");
+    const concentrationDisplayEl = ref("concentrationDisplay");
+    const concentrationUnitEl = ref("concentrationUnit");
+    concentrationEl.addEventListener("change", concentrationChanged);
+    concentrationEl.addEventListener("input", concentrationChanged);
+
+    const concentrationReadoutEl = ref("concentrationReadout");
+
+    const temperatureEl = ref("temperature");
+    temperatureEl.addEventListener("change", temperatureChanged);
+
+    const atcEl = ref("atc");
+    atcEl.addEventListener("change", atcChanged);
+
+    const temperatureReadoutEl = ref("temperatureReadout");
+
+    const inverseModeEl = ref("inverseMode");
+    inverseModeEl.addEventListener("change", inverseModeChanged);
+
+    const measuredAngleEl = ref("measuredAngle");
+    measuredAngleEl.addEventListener("change", measuredAngleChanged);
+    measuredAngleEl.addEventListener("input", measuredAngleChanged);
+
+    const angleUncertaintyEl = ref("angleUncertainty");
+    angleUncertaintyEl.addEventListener("change", angleUncertaintyChanged);
+    angleUncertaintyEl.addEventListener("input", angleUncertaintyChanged);
+
+    const inverseReadoutEl = ref("inverseReadout");
+
+    const animationModeEl = ref("animationMode");
+    animationModeEl.addEventListener("change", animationModeChanged);
+    const animationPlayButton = ref("animationPlay");
+    animationPlayButton.addEventListener("click", animationPlayClicked);
+    const animationSpeedEl = ref("animationSpeed");
+    const animationSpeedDisplayEl = ref("animationSpeedDisplay");
+    animationSpeedEl.addEventListener("change", animationSpeedChanged);
+    animationSpeedEl.addEventListener("input", animationSpeedChanged);
+    const animationLegendEl = ref("animationLegend");
+
+    const validationMessageEl = ref("validationMessage");
+
+    const resetButton = ref("resetButton");
+    resetButton.addEventListener("click", resetScene);
+
+    ref("resetView").addEventListener("click", resetView);
+    ref("zoomBoundary").addEventListener("click", zoomOnBoundary);
+
+    const renderContainerEl = ref("render-container");
+    const detectorContainerEl = ref("detector-container");
+    const viewportHeightEl = ref("viewportHeight");
+
+    ///////////////////////////////// PARAMETERS ////////////////////////////////////////////////
+
+    // The scene is modeled in millimeters and drawn through the view, which maps it to the canvas. The sizes of the
+    // handles, markers and labels are in screen pixels instead, so they stay the same at any zoom
+    const MIN_CANVAS_HEIGHT = 320;
+    // Empty space around the scene when the view fits it, as a fraction of its size
+    const FIT_MARGIN = 0.08;
+    // The rays are traced at least this far around the scene, as a fraction of its size, to reach the detector
+    const TRACE_MARGIN = 0.5;
+    // Zoom step of a wheel notch
+    const WHEEL_ZOOM = 0.0015;
+    // Zoom, relative to the fitted view, when jumping to the light/dark boundary on the detector
+    const BOUNDARY_ZOOM = 12;
+
+    const DETECTOR_DISTANCE = 60;
+    const DETECTOR_BINS = 64;
+    const DETECTOR_PANEL_HEIGHT = 200;
+
+    // Length of the cursor marking the measured boundary direction in inverse mode, its end is the handle to rotate it
+    const EXIT_CURSOR_LENGTH = 160;
+
+    // The animation runs at this many mm of light path in vacuum per second at 1×
+    const ANIMATION_RATE = 60;
+    // Largest distance from the cursor to a ray for the ray to be picked
+    const HOVER_DISTANCE = 5;
+
+    const nAir = 1;
+
+    // Scene state, set by applyScene
+    let nPrism;
+    let nSample;
+    let maxBounces;
+    let polarization;
+    let prismMaterialKey;
+    let sampleMaterialKey;
+    let spectrumKey;
+    let concentrationMode;
+    let soluteKey;
+    let concentration;
+    // Temperature of the sample and the prism, the indices of the controls are at the reference temperature
+    let temperature;
+    // Thermal model of the custom sample. A sample solved in inverse mode keeps the one of the sample it replaced
+    let customSampleThermal = linearThermal(DEFAULT_SAMPLE_DNDT);
+    // Show the reading compensated back to the reference temperature next to the raw one
+    let atc = false;
+
+    // In inverse mode the sample index is solved from the measured exit angle of the boundary, in degrees
+    let inverseMode = false;
+    let measuredAngle = parseFloat(measuredAngleEl.value);
+    let angleUncertainty = parseFloat(angleUncertaintyEl.value);
+
+    Object.entries(PRISM_MATERIALS).forEach(([key, material]) => prismMaterialEl.add(new Option(`${material.name} - ${material.nD.toFixed(4)}`, key)));
+    Object.entries(SAMPLE_MATERIALS).forEach(([key, material]) => sampleMaterialEl.add(new Option(`${material.name} - ${material.nD.toFixed(4)}`, key)));
+    Object.entries(SPECTRA).forEach(([key, spectrum]) => spectrumEl.add(new Option(spectrum.name, key)));
+    Object.entries(SOLUTES).forEach(([key, solute]) => soluteEl.add(new Option(solute.name, key)));
+
+    // The top face of the prism is centered on PRISM_CENTER_X at this height, in mm
+    const PRISM_CENTER_X = 160;
+    const PRISM_TOP = 8;
+    const DEFAULT_PRISM_SHAPE = "RIGHT_ANGLE";
+    const DEFAULT_PRISM_LENGTH = 150 * Math.SQRT2;
+
+    // Steps of the keyboard: a focused source moves by 1 mm and turns by 1°, ten times as much with Shift. The index
+    // shortcuts change the index by 0.001, or by 0.01 with Shift, in steps of the sliders
+    const SOURCE_KEY_STEP = 1;
+    const SOURCE_KEY_ANGLE = 1;
+    const INDEX_KEY_STEP = 10;
+    // Delay before the screen readers are told about a change, so dragging a slider doesn't flood them
+    const ANNOUNCE_DELAY = 600;
+
+    let sources;
+    let selectedSource = 0;
+
+    Object.entries(PRISM_SHAPES).forEach(([key, shape]) => prismShapeEl.add(new Option(shape.name, key)));
+
+    let prismShapeKey;
+    let prismVertices;
+    let detector;
+
+    // Last trace of every wavelength, the annotations and the tooltip read the path data from here
+    let traces = [];
+    let showAnnotations = false;
+    // In animation mode pulses travel along the last trace, timed by the timelines of its rays
+    let animationMode = false;
+    let animationPlaying = true;
+    let animationSpeed = 1;
+    let animationTime = 0;
+    let timelines = [];
+
+    // Last reading of the detector, where the boundary is to zoom on it
+    let detectorReading = null;
+    // Indices read at the boundary, raw and with the temperature compensation
+    let measuredIndices = { raw: null, compensated: null };
+    let hoveredRay = null;
+
+    // The panels of the ray data, the sweeps, the figures and the scene files, reaching the instance through these
+    const rayTable = createRayTable(ref, () => traces);
+    const sweepPanel = createSweepPanel(ref, {
+        // The sweep traces the D line only, with the indices of the materials there at the temperature
+        scene: () => ({
+            prism: prismVertices,
+            nPrism: atTemperature(prismMaterial(), temperature).nD,
+            nSample: atTemperature(sampleMaterial(), temperature).nD,
+            nAir,
+            sources,
+            bounds: sceneBox(TRACE_MARGIN),
+            maxBounces,
+            polarization,
+        }),
+        measurement: () => ({ detector, binsCount: DETECTOR_BINS, sourceIndex: selectedSource }),
+        current: () => ({ nPrism, nSample, position: sources[selectedSource].position }),
+        showMessage,
+    });
+    // The figure shows what the canvas shows, with the annotations when they are on
+    createFigurePanel(ref, {
+        scene: () => ({
+            box: visibleBox(view, app.screen.width, app.screen.height),
+            prism: prismVertices,
+            sources,
+            detector,
+            traces,
+            annotatedRays: showAnnotations ? annotatedRays() : null,
+        }),
+        caption: () => `${SPECTRA[spectrumKey].name}. ${indicesSummary()}`,
+        showMessage,
+    });
+    const scenePanel = createScenePanel(ref, { sceneLink: Boolean(options.sceneLink), currentScene, sceneOpened, showMessage });
+
+    // Start from the scene of the link if the instance follows it, otherwise from the scene of the options or from the
+    // last session (saved in the localStorage)
+    const startup = initialScene();
+    applyScene(startup.scene);
+    validationMessageEl.innerText = startup.message;
+    sweepPanel.suggestRange();
+
+    /////////////////////////////////////// SETUP ///////////////////////////////////////////////////////
+
+    // The canvases follow the size of their containers, with as many pixels as the screen has so they stay sharp
+    const app = new PIXI.Application({
+        width: renderContainerEl.clientWidth,
+        height: MIN_CANVAS_HEIGHT,
+        antialias: true,
+        resolution: window.devicePixelRatio || 1,
+        autoDensity: true,
+    });
+
+    renderContainerEl.appendChild(app.view);
+    app.view.setAttribute("role", "img");
+    app.view.setAttribute("aria-label", "Rays through the prism of the refractometer. Drag to pan, use the wheel or pinch to zoom");
+    const mainContainer = new PIXI.Graphics();
+    app.stage.addChild(mainContainer);
+    const footerText = new PIXI.Text("github.com/paolo-projects/refractometer-simulation", { fontFamily: "Century Gothic", fontSize: 10, fill: 0xffffff });
+    footerText.anchor.set(1, 1);
+    app.stage.addChild(footerText);
+    const annotationLayer = new PIXI.Container();
+    const pulseLayer = new PIXI.Graphics();
+    app.ticker.add(animationTick);
+    const exitCursorHandle = new PIXI.Graphics();
+    exitCursorHandle.interactive = true;
+    exitCursorHandle.buttonMode = true;
+    exitCursorHandle
+        .on("pointerdown", exitCursorDragStart)
+        .on("pointerup", exitCursorDragEnd)
+        .on("pointerupoutside", exitCursorDragEnd)
+        .on("pointermove", exitCursorDragMove);
+    app.view.addEventListener("mousemove", rayHover);
+    app.view.addEventListener("mouseleave", rayHoverEnd);
+    app.view.addEventListener("pointerdown", viewPointerDown);
+    app.view.addEventListener("pointermove", viewPointerMove);
+    app.view.addEventListener("pointerup", viewPointerUp);
+    app.view.addEventListener("pointercancel", viewPointerUp);
+    app.view.addEventListener("wheel", viewWheel, { passive: false });
+    const sourceObjects = [];
+    const vertexHandles = [];
+
+    // Second panel showing what the detector sees
+    const detectorApp = new PIXI.Application({
+        width: detectorContainerEl.clientWidth,
+        height: DETECTOR_PANEL_HEIGHT,
+        antialias: true,
+        resolution: window.devicePixelRatio || 1,
+        autoDensity: true,
+    });
+
+    detectorContainerEl.appendChild(detectorApp.view);
+    detectorApp.view.setAttribute("role", "img");
+    const detectorContainer = new PIXI.Graphics();
+    const detectorText = new PIXI.Text("", { fontFamily: "Century Gothic", fontSize: 14, fill: 0xffffff });
+    detectorText.x = 10;
+    detectorText.y = 8;
+    detectorContainer.addChild(detectorText);
+    detectorApp.stage.addChild(detectorContainer);
+
+    // Model to screen transform, it keeps fitting the whole scene until the user pans or zooms
+    let view = null;
+    let viewFitted = true;
+    resizeRenderer();
+    // The canvases follow the width of their containers, set by the layout of the page, and the height of the window
+    // through an element as tall as it
+    const containerResizeObserver = new ResizeObserver(sizeChanged);
+    containerResizeObserver.observe(renderContainerEl);
+    containerResizeObserver.observe(detectorContainerEl);
+    containerResizeObserver.observe(viewportHeightEl);
+
+    ///////////////////////////////// INTERACTION HANDLERS //////////////////////////////////////////////
+
+    let rerenderTimeout;
+
+    // Handles follow the pointer that grabbed them, the other fingers of a touch screen don't move them
+    let dragPointer = null;
+    const draggedBy = (e) => e.data.pointerId === dragPointer;
+
+    // The source being dragged, by its body to move it or by the end of its marker to rotate it
+    let draggedSource = null;
+
+    function sourceDragStart(e) {
+        draggedSource = { index: e.currentTarget.sourceIndex, rotate: e.currentTarget.rotateHandle };
+        dragPointer = e.data.pointerId;
+        selectedSource = draggedSource.index;
+        updateSourceControls();
+    }
+    function sourceDragEnd(e) {
+        if (draggedBy(e)) {
+            draggedSource = null;
+        }
+    }
+    function sourceDragMove(e) {
+        if (draggedSource !== null && draggedBy(e)) {
+            const newPos = toModel(view, [e.data.global.x, e.data.global.y]);
+            const source = sources[draggedSource.index];
+            if (draggedSource.rotate) {
+                source.angle = Math.round((180 / Math.PI) * Math.atan2(newPos[1] - source.position[1], newPos[0] - source.position[0]));
+            } else {
+                source.position = newPos;
+            }
+            sourcesChanged();
+        }
+    }
+    let draggedVertex = null;
+
+    function vertexDragStart(e) {
+        draggedVertex = e.currentTarget.vertexIndex;
+        dragPointer = e.data.pointerId;
+    }
+    function vertexDragEnd(e) {
+        if (draggedBy(e)) {
+            draggedVertex = null;
+        }
+    }
+    function vertexDragMove(e) {
+        if (draggedVertex !== null && draggedBy(e)) {
+            const newPos = toModel(view, [e.data.global.x, e.data.global.y]);
+            const vertices = prismVertices.map((vertex, i) => (i === draggedVertex ? newPos : vertex));
+
+            // The prism must stay convex for its faces to make sense
+            if (isConvex(vertices)) {
+                setPrism(vertices, CUSTOM_SHAPE);
+                sceneChanged();
+                clearTimeout(rerenderTimeout);
+                rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+            }
+        }
+    }
+    let draggingExitCursor = false;
+
+    function exitCursorDragStart(e) {
+        draggingExitCursor = true;
+        dragPointer = e.data.pointerId;
+    }
+    function exitCursorDragEnd(e) {
+        if (draggedBy(e)) {
+            draggingExitCursor = false;
+        }
+    }
+    function exitCursorDragMove(e) {
+        if (draggingExitCursor && draggedBy(e)) {
+            const { anchor, normal } = exitCursor();
+            const angle = (180 / Math.PI) * MathVec.angleBetween(normal, MathVec.sub([e.data.global.x, e.data.global.y], anchor));
+            measuredAngle = Math.round(Math.max(-89, Math.min(89, angle)) * 100) / 100;
+            measuredAngleEl.value = measuredAngle;
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        }
+    }
+
+    // Pointers pressed on the empty canvas by id, one pans the view and two pinch to zoom it
+    const viewPointers = new Map();
+
+    function viewPointerDown(event) {
+        // The handles get the press first, while one of them is dragged the view stays still
+        if (draggedSource !== null || draggedVertex !== null || draggingExitCursor) {
+            return;
+        }
+        viewPointers.set(event.pointerId, canvasPoint(event));
+        app.view.setPointerCapture(event.pointerId);
+    }
+    function viewPointerMove(event) {
+        if (!viewPointers.has(event.pointerId)) {
+            return;
+        }
+        const point = canvasPoint(event);
+        const previous = viewPointers.get(event.pointerId);
+        viewPointers.set(event.pointerId, point);
+
+        if (viewPointers.size === 1) {
+            viewChanged(panView(view, MathVec.sub(point, previous)));
+        } else if (viewPointers.size === 2) {
+            // The other finger stays still, the view follows the middle of the two and scales with their distance
+            const other = Array.from(viewPointers).find(([id]) => id !== event.pointerId)[1];
+            const before = MathVec.scale(MathVec.add(previous, other), 0.5);
+            const after = MathVec.scale(MathVec.add(point, other), 0.5);
+            const factor = MathVec.length(MathVec.sub(point, other)) / Math.max(1, MathVec.length(MathVec.sub(previous, other)));
+            viewChanged(zoomView(panView(view, MathVec.sub(after, before)), factor, after));
+        }
+    }
+    function viewPointerUp(event) {
+        viewPointers.delete(event.pointerId);
+    }
+    function viewWheel(event) {
+        event.preventDefault();
+        // Lines and pages are turned into pixels, so every device zooms at about the same pace
+        const delta = event.deltaY * (event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? 400 : 1);
+        viewChanged(zoomView(view, Math.exp(-delta * WHEEL_ZOOM), canvasPoint(event)));
+    }
+    function viewChanged(newView) {
+        view = newView;
+        viewFitted = false;
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+    function resetView() {
+        viewFitted = true;
+        view = fitView(sceneBox(FIT_MARGIN), app.screen.width, app.screen.height);
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+    // Center the view on the point of the detector where the light/dark boundary falls, set by the critical angle
+    function zoomOnBoundary() {
+        if (detectorReading === null || detectorReading.edgePosition === null) {
+            validationMessageEl.innerText = "There's no light/dark boundary on the detector to zoom on";
+            return;
+        }
+        const boundary = MathVec.add(detector.start, MathVec.scale(MathVec.sub(detector.end, detector.start), detectorReading.edgePosition));
+        const center = [app.screen.width / 2, app.screen.height / 2];
+        const fitted = fitView(sceneBox(FIT_MARGIN), app.screen.width, app.screen.height);
+        validationMessageEl.innerText = "";
+        viewChanged(zoomView(panView(fitted, MathVec.sub(center, toScreen(fitted, boundary))), BOUNDARY_ZOOM, center));
+    }
+    function sizeChanged() {
+        resizeRenderer();
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+
+    // Position of a pointer event on the canvas, in CSS pixels
+    function canvasPoint(event) {
+        const viewRect = app.view.getBoundingClientRect();
+        return [event.clientX - viewRect.left, event.clientY - viewRect.top];
+    }
+
+    // Size the canvases after their containers, a square scene canvas as tall as the window allows. A fitted view fits
+    // the scene again, otherwise the model point at the center stays there
+    function resizeRenderer() {
+        const width = renderContainerEl.clientWidth;
+        const height = Math.max(MIN_CANVAS_HEIGHT, Math.min(width, viewportHeightEl.clientHeight));
+        if (!viewFitted) {
+            view = panView(view, [(width - app.screen.width) / 2, (height - app.screen.height) / 2]);
+        }
+        app.renderer.resize(width, height);
+        detectorApp.renderer.resize(detectorContainerEl.clientWidth, DETECTOR_PANEL_HEIGHT);
+        if (viewFitted) {
+            view = fitView(sceneBox(FIT_MARGIN), width, height);
+        }
+        footerText.x = width - 8;
+        footerText.y = height - 6;
+    }
+
+    // Bounding box of the prism, the sources and the detector, grown on every side by a fraction of its size
+    function sceneBox(margin) {
+        const points = [...prismVertices, ...sources.map((source) => source.position), detector.start, detector.end];
+        const xs = points.map((point) => point[0]);
+        const ys = points.map((point) => point[1]);
+        const grow = margin * Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+        return [
+            [Math.min(...xs) - grow, Math.min(...ys) - grow],
+            [Math.max(...xs) + grow, Math.max(...ys) + grow],
+        ];
+    }
+    function raysNumberChanged(event) {
+        const newVal = parseInt(event.target.value);
+
+        if (newVal >= 5 && newVal <= 100) {
+            sources[selectedSource].numRays = newVal;
+            sourcesChanged();
+        }
+    }
+    function raysAngleChanged(event) {
+        const newVal = parseInt(event.target.value);
+
+        if (newVal >= 1 && newVal <= 45) {
+            sources[selectedSource].spread = newVal;
+            sourcesChanged();
+        }
+    }
+    function selectedSourceChanged(event) {
+        const newVal = parseInt(event.target.value);
+
+        if (newVal >= 0 && newVal < sources.length) {
+            selectedSource = newVal;
+            updateSourceControls();
+        }
+    }
+    function sourceTypeChanged(event) {
+        const newVal = event.target.value;
+
+        if (Object.values(SOURCE_TYPES).includes(newVal)) {
+            sources[selectedSource].type = newVal;
+            sourcesChanged();
+        }
+    }
+    function sourceWidthChanged(event) {
+        const newVal = parseInt(event.target.value);
+
+        if (newVal >= 5 && newVal <= 200) {
+            sources[selectedSource].width = newVal;
+            sourcesChanged();
+        }
+    }
+    function sourceAimChanged(event) {
+        const source = sources[selectedSource];
+        source.angle = event.target.checked ? null : parseInt(sourceAngleEl.value);
+        sourcesChanged();
+    }
+    function sourceAngleChanged(event) {
+        const newVal = parseInt(event.target.value);
+
+        if (newVal >= -180 && newVal <= 180) {
+            sources[selectedSource].angle = newVal;
+            sourcesChanged();
+        }
+    }
+    function sourceDistributionChanged(event) {
+        const newVal = event.target.value;
+
+        if (Object.values(DISTRIBUTIONS).includes(newVal)) {
+            sources[selectedSource].distribution = newVal;
+            sourcesChanged();
+        }
+    }
+    function addSource() {
+        // New sources start next to the selected one so they are easy to spot
+        const [x, y] = sources[selectedSource].position;
+        sources.push(createSource(SOURCE_TYPES.POINT, [x + 8, y + 8]));
+        selectedSource = sources.length - 1;
+        sourcesChanged();
+    }
+    function removeSource() {
+        if (sources.length > 1) {
+            sources.splice(selectedSource, 1);
+            selectedSource = Math.min(selectedSource, sources.length - 1);
+            sourcesChanged();
+        }
+    }
+
+    // Save the sources, show the parameters of the selected one and redraw
+    function sourcesChanged() {
+        sceneChanged();
+        updateSourceControls();
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+
+    // Selecting a source with the keyboard works like grabbing it
+    function sourceFocused(event) {
+        selectedSource = event.target.sourceIndex;
+        updateSourceControls();
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+    function sourceKeyDown(event) {
+        const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        const turns = { ",": -1, ".": 1, "<": -1, ">": 1 };
+        const source = sources[event.target.sourceIndex];
+        const scale = event.shiftKey ? 10 : 1;
+
+        if (moves[event.key]) {
+            source.position = MathVec.add(source.position, MathVec.scale(moves[event.key], SOURCE_KEY_STEP * scale));
+        } else if (turns[event.key]) {
+            // A source aimed at the prism starts turning from the direction it's aimed at
+            const direction = centralDirection(source, faceByRole(prismFaces(prismVertices), FACES.FRONT).normal);
+            const angle = source.angle === null ? Math.round((180 / Math.PI) * Math.atan2(direction[1], direction[0])) : source.angle;
+            source.angle = ((((angle + turns[event.key] * SOURCE_KEY_ANGLE * scale + 180) % 360) + 360) % 360) - 180;
+        } else {
+            return;
+        }
+        event.preventDefault();
+        sourcesChanged();
+        announce(describeSource(event.target.sourceIndex));
+    }
+
+    // Shortcuts stepping the index sliders, everywhere but in the form fields, which use the keys themselves. They are
+    // listened to on the root of the instance, so they only work while the focus is in it
+    function indexShortcut(event) {
+        const shortcuts = { BracketLeft: [nSampleEl, -1], BracketRight: [nSampleEl, 1], Minus: [nPrismEl, -1], Equal: [nPrismEl, 1] };
+        if (!shortcuts[event.code] || event.ctrlKey || event.metaKey || event.altKey || ["INPUT", "SELECT", "TEXTAREA"].includes(event.target.tagName)) {
+            return;
+        }
+        event.preventDefault();
+
+        const [slider, direction] = shortcuts[event.code];
+        if (slider.disabled) {
+            announce(`The ${slider === nSampleEl ? "sample" : "prism"} index is set by its material, pick the custom one to change it`);
+            return;
+        }
+        slider.value = parseInt(slider.value) + direction * INDEX_KEY_STEP * (event.shiftKey ? 10 : 1);
+        slider.dispatchEvent(new Event("input"));
+    }
+
+    // Tell the screen readers about a change through the live region, the last message within the delay wins
+    let announceTimeout;
+    function announce(text) {
+        clearTimeout(announceTimeout);
+        announceTimeout = setTimeout(() => (opticsAnnouncementEl.innerText = text), ANNOUNCE_DELAY);
+    }
+
+    function updateSourceControls() {
+        const source = sources[selectedSource];
+
+        while (selectedSourceEl.options.length > sources.length) {
+            selectedSourceEl.remove(selectedSourceEl.options.length - 1);
+        }
+        sources.forEach((s, i) => {
+            const label = `Source ${i + 1} (${sourceTypeEl.querySelector(`option[value="${s.type}"]`).text.toLowerCase()})`;
+            if (i < selectedSourceEl.options.length) {
+                selectedSourceEl.options[i].text = label;
+            } else {
+                selectedSourceEl.add(new Option(label, i));
+            }
+        });
+        selectedSourceEl.value = selectedSource;
+        removeSourceButton.disabled = sources.length < 2;
+
+        sourceTypeEl.value = source.type;
+        nRaysEl.value = source.numRays;
+        numRaysDisplayEl.innerText = source.numRays;
+        raysAngleEl.value = source.spread;
+        raysAnglesDisplayEl.innerText = source.spread;
+        raysAngleEl.disabled = source.type !== SOURCE_TYPES.POINT;
+        sourceWidthEl.value = Math.round(source.width);
+        sourceWidthDisplayEl.innerText = source.width.toFixed(1);
+        sourceWidthEl.disabled = source.type === SOURCE_TYPES.POINT;
+        sourceAimEl.checked = source.angle === null;
+        sourceAngleEl.disabled = source.angle === null;
+        sourceAngleEl.value = source.angle === null ? 0 : source.angle;
+        sourceAngleDisplayEl.innerText = source.angle === null ? "perpendicular to the front face" : `${source.angle}°`;
+        sourceDistributionEl.value = source.distribution;
+        sourceDistributionEl.disabled = source.type !== SOURCE_TYPES.EXTENDED;
+    }
+    function maxBouncesChanged(event) {
+        const newVal = parseInt(event.target.value);
+
+        if (newVal >= 1 && newVal <= 30) {
+            maxBounces = newVal;
+            maxBouncesDisplayEl.innerText = newVal;
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        }
+    }
+    function nSampleChanged(event) {
+        const newVal = parseInt(event.target.value) / 10000;
+
+        if (!validateIndices("The sample", newVal, nPrism)) {
+            nSampleEl.value = nSample * 10000;
+        } else if (newVal >= 1) {
+            nSample = newVal;
+            nSampleDisplayEl.innerText = newVal.toFixed(4);
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        }
+    }
+    function nPrismChanged(event) {
+        const newVal = parseInt(event.target.value) / 10000;
+
+        if (!validateIndices("The sample", nSample, newVal)) {
+            nPrismEl.value = nPrism * 10000;
+        } else {
+            nPrism = newVal;
+            nPrismDisplayEl.innerText = newVal.toFixed(4);
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        }
+    }
+    function showAnnotationsChanged(event) {
+        showAnnotations = event.target.checked;
+        if (!showAnnotations) {
+            rayHoverEnd();
+        }
+        DrawAnnotations();
+        optionsChanged();
+    }
+    function rayHover(event) {
+        if (!showAnnotations || draggedSource !== null || draggedVertex !== null) {
+            return;
+        }
+
+        const nearest = rayNear(canvasPoint(event));
+
+        if (nearest === null) {
+            rayHoverEnd();
+            return;
+        }
+
+        if (hoveredRay === null || nearest.ray !== hoveredRay.ray) {
+            hoveredRay = nearest;
+            rayTooltipEl.innerText = describeRay(hoveredRay.ray, hoveredRay.wavelength);
+            DrawAnnotations();
+        }
+        const containerRect = rayTooltipEl.parentElement.getBoundingClientRect();
+        rayTooltipEl.style.left = `${event.clientX - containerRect.left + 14}px`;
+        rayTooltipEl.style.top = `${event.clientY - containerRect.top + 14}px`;
+        rayTooltipEl.hidden = false;
+    }
+    function rayHoverEnd() {
+        rayTooltipEl.hidden = true;
+        if (hoveredRay !== null) {
+            hoveredRay = null;
+            DrawAnnotations();
+        }
+    }
+    function animationModeChanged(event) {
+        animationMode = event.target.checked;
+        animationPlayButton.disabled = !animationMode;
+        animationSpeedEl.disabled = !animationMode;
+        animationLegendEl.hidden = !animationMode;
+        optionsChanged();
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+    function animationPlayClicked() {
+        animationPlaying = !animationPlaying;
+        animationPlayButton.innerText = animationPlaying ? "Pause" : "Play";
+        animationPlayButton.setAttribute("aria-pressed", animationPlaying);
+        optionsChanged();
+    }
+    function animationSpeedChanged(event) {
+        const newVal = parseInt(event.target.value) / 10;
+
+        if (newVal >= 0.1 && newVal <= 5) {
+            setAnimationSpeed(newVal);
+        }
+    }
+    function setAnimationSpeed(speed) {
+        animationSpeed = speed;
+        animationSpeedDisplayEl.innerText = speed.toFixed(1);
+        optionsChanged();
+    }
+    // Move the pulses on every frame of the renderer
+    function animationTick() {
+        if (!animationMode) {
+            return;
+        }
+        if (animationPlaying) {
+            animationTime += (app.ticker.deltaMS / 1000) * ANIMATION_RATE * animationSpeed;
+        }
+        DrawPulses();
+    }
+    function polarizationChanged(event) {
+        const newVal = event.target.value;
+
+        if (Object.values(POLARIZATIONS).includes(newVal)) {
+            polarization = newVal;
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        }
+    }
+    function prismMaterialChanged(event) {
+        const newVal = event.target.value;
+        const material = PRISM_MATERIALS[newVal];
+
+        if (material && !validateIndices("The sample", nSample, material.nD, material.name)) {
+            prismMaterialEl.value = prismMaterialKey;
+        } else if (newVal === CUSTOM_MATERIAL || material) {
+            prismMaterialKey = newVal;
+            nPrismEl.disabled = newVal !== CUSTOM_MATERIAL;
+            if (material) {
+                nPrism = material.nD;
+                nPrismEl.value = nPrism * 10000;
+                nPrismDisplayEl.innerText = nPrism.toFixed(4);
+            }
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        }
+    }
+    function sampleMaterialChanged(event) {
+        const newVal = event.target.value;
+        const material = SAMPLE_MATERIALS[newVal];
+
+        if (material && !validateIndices(material.name, material.nD, nPrism)) {
+            sampleMaterialEl.value = sampleMaterialKey;
+        } else if (newVal === CUSTOM_MATERIAL || material) {
+            sampleMaterialKey = newVal;
+            customSampleThermal = linearThermal(DEFAULT_SAMPLE_DNDT);
+            updateSampleControls();
+            if (material) {
+                nSample = material.nD;
+                nSampleEl.value = nSample * 10000;
+                nSampleDisplayEl.innerText = nSample.toFixed(4);
+            }
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        }
+    }
+    function spectrumChanged(event) {
+        const newVal = event.target.value;
+
+        if (SPECTRA[newVal]) {
+            spectrumKey = newVal;
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        }
+    }
+    function inverseModeChanged(event) {
+        inverseMode = event.target.checked;
+        measuredAngleEl.disabled = !inverseMode;
+        angleUncertaintyEl.disabled = !inverseMode;
+        inverseReadoutEl.innerText = "";
+        updateSampleControls();
+        optionsChanged();
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+    function measuredAngleChanged(event) {
+        const newVal = parseFloat(event.target.value);
+
+        if (newVal >= -89 && newVal <= 89) {
+            setMeasuredAngle(newVal);
+        }
+    }
+    function setMeasuredAngle(angle) {
+        measuredAngle = angle;
+        optionsChanged();
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+    function angleUncertaintyChanged(event) {
+        const newVal = parseFloat(event.target.value);
+
+        if (newVal >= 0 && newVal <= 10) {
+            setAngleUncertainty(newVal);
+        }
+    }
+    function setAngleUncertainty(uncertainty) {
+        angleUncertainty = uncertainty;
+        optionsChanged();
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+
+    // Solve the sample index for the measured angle with the current prism, which then shows the matching rays. The
+    // solved sample is a custom one, so the catalog and the concentration mode are left. The angle is measured at the
+    // temperature, the slider gets the index brought back to the reference temperature by the thermal model of the
+    // sample, which the solved one keeps
+    function solveInverse() {
+        const nPrismAt = atTemperature(prismMaterial(), temperature).nD;
+        const solution = solveWithUncertainty(prismVertices, nPrismAt, (Math.PI / 180) * measuredAngle, (Math.PI / 180) * angleUncertainty, nAir);
+
+        if (solution === null) {
+            inverseReadoutEl.innerText = `No sample with an index between ${nAir} and the prism index puts the boundary at ${measuredAngle}°`;
+            return;
+        }
+
+        inverseReadoutEl.innerText = `Solved sample index: ${solution.nSample.toFixed(5)}${
+            solution.uncertainty === null ? ", the uncertainty interval is out of the measurable range" : ` ± ${solution.uncertainty.toFixed(5)}`
+        } at ${temperature.toFixed(1)} °C`;
+
+        const thermal = sampleMaterial().thermal;
+        const solvedIndex = solution.nSample - thermal(temperature);
+        if (solvedIndex !== nSample || sampleMaterialKey !== CUSTOM_MATERIAL || concentrationMode) {
+            customSampleThermal = thermal;
+            concentrationMode = false;
+            concentrationModeEl.checked = false;
+            sampleMaterialKey = CUSTOM_MATERIAL;
+            sampleMaterialEl.value = CUSTOM_MATERIAL;
+            nSample = solvedIndex;
+            nSampleEl.value = nSample * 10000;
+            nSampleDisplayEl.innerText = nSample.toFixed(4);
+            updateSampleControls();
+            sceneChanged();
+        }
+    }
+
+    // The cursor starts from the middle of the back face, at the measured angle from its normal, in screen coordinates
+    function exitCursor() {
+        const back = faceByRole(prismFaces(prismVertices), FACES.BACK);
+        const anchor = toScreen(view, MathVec.scale(MathVec.add(back.start, back.end), 0.5));
+        const direction = MathVec.rotate2d(...back.normal, (Math.PI / 180) * measuredAngle);
+        return { anchor, normal: back.normal, end: MathVec.add(anchor, MathVec.scale(direction, EXIT_CURSOR_LENGTH)) };
+    }
+    function concentrationModeChanged(event) {
+        concentrationMode = event.target.checked;
+
+        if (concentrationMode && !updateConcentration(soluteKey, concentration)) {
+            concentrationMode = false;
+            concentrationModeEl.checked = false;
+            return;
+        }
+
+        if (!concentrationMode && sampleMaterialKey !== CUSTOM_MATERIAL) {
+            nSample = SAMPLE_MATERIALS[sampleMaterialKey].nD;
+            nSampleEl.value = nSample * 10000;
+            nSampleDisplayEl.innerText = nSample.toFixed(4);
+        }
+        updateSampleControls();
+        sceneChanged();
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+    function soluteChanged(event) {
+        const newVal = event.target.value;
+
+        if (SOLUTES[newVal]) {
+            // Keep the concentration within the range of the new solute
+            const newConcentration = Math.min(concentration, maxConcentration(SOLUTES[newVal]));
+            if (updateConcentration(newVal, newConcentration)) {
+                sceneChanged();
+                clearTimeout(rerenderTimeout);
+                rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+            } else {
+                soluteEl.value = soluteKey;
+            }
+        }
+    }
+    function concentrationChanged(event) {
+        const newVal = parseInt(event.target.value) / 10;
+
+        if (newVal >= 0 && newVal <= maxConcentration(SOLUTES[soluteKey])) {
+            if (updateConcentration(soluteKey, newVal)) {
+                sceneChanged();
+                clearTimeout(rerenderTimeout);
+                rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+            } else {
+                concentrationEl.value = concentration * 10;
+            }
+        }
+    }
+    function temperatureChanged(event) {
+        const newVal = parseFloat(event.target.value);
+
+        if (newVal >= 0 && newVal <= 100) {
+            temperature = newVal;
+            updateConcentrationReadout();
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        } else {
+            temperatureEl.value = temperature;
+        }
+    }
+    function atcChanged(event) {
+        atc = event.target.checked;
+        updateConcentrationReadout();
+        optionsChanged();
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+
+    // Convert the concentration to the sample index at the reference temperature and show the readings. In
+    // concentration mode the change is refused when the resulting sample can't be measured
+    function updateConcentration(newSoluteKey, newConcentration) {
+        const solute = SOLUTES[newSoluteKey];
+        const index = concentrationToIndex(solute, newConcentration);
+
+        if (concentrationMode && !validateIndices(`${newConcentration.toFixed(1)} ${solute.unit} ${solute.name.toLowerCase()}`, index, nPrism)) {
+            return false;
+        }
+
+        soluteKey = newSoluteKey;
+        concentration = newConcentration;
+
+        concentrationEl.max = maxConcentration(solute) * 10;
+        concentrationEl.value = concentration * 10;
+        concentrationDisplayEl.innerText = concentration.toFixed(1);
+        concentrationUnitEl.innerText = solute.unit;
+        updateConcentrationReadout();
+
+        if (concentrationMode) {
+            nSample = index;
+            nSampleEl.value = nSample * 10000;
+            nSampleDisplayEl.innerText = nSample.toFixed(4);
+        }
+        return true;
+    }
+
+    // Index of the solution at the temperature and its sucrose equivalent on a Brix refractometer, raw and compensated
+    function updateConcentrationReadout() {
+        const solute = SOLUTES[soluteKey];
+        const index = concentrationToIndex(solute, concentration, temperature);
+        const brix = (value) => (value === null ? "out of the Brix scale" : `${value.toFixed(1)} °Brix`);
+        const raw = brix(indexToConcentration(SOLUTES.SUCROSE, index));
+        concentrationReadoutEl.innerText = `nD = ${index.toFixed(4)} at ${temperature.toFixed(1)} °C, ${concentration.toFixed(1)} ${solute.unit} ${solute.name.toLowerCase()}, ${
+            atc ? `${raw} raw, ${brix(indexToConcentration(SOLUTES.SUCROSE, index, temperature))} ATC` : raw
+        }`;
+    }
+
+    // In concentration mode the sample index comes from the solution, so its own controls are locked
+    function updateSampleControls() {
+        sampleMaterialEl.disabled = concentrationMode || inverseMode;
+        nSampleEl.disabled = concentrationMode || inverseMode || sampleMaterialKey !== CUSTOM_MATERIAL;
+        concentrationModeEl.disabled = inverseMode;
+        soluteEl.disabled = !concentrationMode;
+        concentrationEl.disabled = !concentrationMode;
+    }
+    function prismShapeChanged(event) {
+        const newVal = event.target.value;
+
+        if (PRISM_SHAPES[newVal]) {
+            setPrism(shapeVertices(PRISM_SHAPES[newVal], parseInt(prismLengthEl.value)), newVal);
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        }
+    }
+    function prismGeometryChanged(event) {
+        const length = parseInt(prismLengthEl.value);
+        const frontAngle = parseInt(prismFrontAngleEl.value);
+        const backAngle = parseInt(prismBackAngleEl.value);
+        const vertices = trianglePrism([PRISM_CENTER_X - length / 2, PRISM_TOP], length, frontAngle, backAngle);
+
+        if (vertices) {
+            validationMessageEl.innerText = "";
+            setPrism(vertices, CUSTOM_SHAPE);
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+        } else {
+            validationMessageEl.innerText = `A triangular prism with a ${frontAngle}° front angle and a ${backAngle}° back angle doesn't exist: their sum must be below 180°`;
+            setPrism(prismVertices, prismShapeKey);
+        }
+    }
+
+    // Vertices of a preset shape, triangles are built on a top face with the given length
+    function shapeVertices(shape, length) {
+        if (shape.trapezoid) {
+            const { length: trapezoidLength, height, sideAngle } = shape.trapezoid;
+            return trapezoidPrism([PRISM_CENTER_X - trapezoidLength / 2, PRISM_TOP], trapezoidLength, height, sideAngle);
+        }
+        return trianglePrism([PRISM_CENTER_X - length / 2, PRISM_TOP], length, shape.frontAngle, shape.backAngle);
+    }
+
+    // Replace the prism, moving the detector along and showing the new measures on the geometry controls
+    function setPrism(vertices, shapeKey) {
+        prismVertices = vertices;
+        prismShapeKey = shapeKey;
+        detector = detectorFromPrism(prismVertices, DETECTOR_DISTANCE);
+
+        const { length, frontAngle, backAngle } = topFaceAngles(prismVertices);
+        prismShapeEl.value = prismShapeKey;
+        prismLengthEl.value = Math.round(length);
+        prismLengthDisplayEl.innerText = length.toFixed(1);
+        prismFrontAngleEl.value = Math.round(frontAngle);
+        prismFrontAngleDisplayEl.innerText = frontAngle.toFixed(1);
+        prismBackAngleEl.value = Math.round(backAngle);
+        prismBackAngleDisplayEl.innerText = backAngle.toFixed(1);
+    }
+
+    // A refractometer can only measure samples with a lower index than its prism, show why a change is refused
+    function validateIndices(sampleName, sampleIndex, prismIndex, prismName = "the prism") {
+        if (sampleIndex >= prismIndex) {
+            validationMessageEl.innerText = `${sampleName} (n = ${sampleIndex.toFixed(4)}) can't be measured with ${prismName} (n = ${prismIndex.toFixed(
+                4
+            )}): the sample index must be lower than the prism index`;
+            return false;
+        }
+        validationMessageEl.innerText = "";
+        return true;
+    }
+
+    // Back to the scene the instance was created with, forgetting the saved session
+    function resetScene() {
+        if (options.autosave) {
+            clearAutosave();
+        }
+        sceneOpened(givenScene || defaultScene());
+        resetView();
+    }
+
+    // The whole scene as a document, to be saved or shared
+    function currentScene() {
+        return {
+            version: SCENE_VERSION,
+            sample: { index: nSample, material: sampleMaterialKey, concentrationMode, solute: soluteKey, concentration },
+            prism: { index: nPrism, material: prismMaterialKey, shape: prismShapeKey, vertices: prismVertices },
+            sources,
+            temperature,
+            spectrum: spectrumKey,
+            polarization,
+            maxBounces,
+        };
+    }
+
+    // Every change of the scene is saved when the instance keeps the session, and told to the listeners
+    function sceneChanged() {
+        if (options.autosave) {
+            saveAutosave(currentScene());
+        }
+        optionsChanged();
+    }
+    // The options of the view and the modes are told to the listeners as well
+    function optionsChanged() {
+        if (api !== null) {
+            api.changed();
+        }
+    }
+
+    // Replace the whole scene and show it on the controls, the document must come from loadScene
+    function applyScene(scene) {
+        nPrism = scene.prism.index;
+        nSample = scene.sample.index;
+        maxBounces = scene.maxBounces;
+        polarization = scene.polarization;
+        prismMaterialKey = scene.prism.material;
+        sampleMaterialKey = scene.sample.material;
+        spectrumKey = scene.spectrum;
+        concentrationMode = scene.sample.concentrationMode;
+        soluteKey = scene.sample.solute;
+        concentration = scene.sample.concentration;
+        temperature = scene.temperature;
+        customSampleThermal = linearThermal(DEFAULT_SAMPLE_DNDT);
+        sources = scene.sources.map((source) => ({ ...source }));
+        selectedSource = 0;
+
+        // A material picked from the catalog sets the index at the sodium D line and locks the slider
+        if (prismMaterialKey !== CUSTOM_MATERIAL) {
+            nPrism = PRISM_MATERIALS[prismMaterialKey].nD;
+        }
+        if (sampleMaterialKey !== CUSTOM_MATERIAL) {
+            nSample = SAMPLE_MATERIALS[sampleMaterialKey].nD;
+        }
+
+        maxBouncesEl.value = maxBounces;
+        maxBouncesDisplayEl.innerText = maxBounces;
+        nSampleEl.value = nSample * 10000;
+        nSampleDisplayEl.innerText = nSample.toFixed(4);
+        nPrismEl.value = nPrism * 10000;
+        nPrismDisplayEl.innerText = nPrism.toFixed(4);
+        polarizationEl.value = polarization;
+        prismMaterialEl.value = prismMaterialKey;
+        nPrismEl.disabled = prismMaterialKey !== CUSTOM_MATERIAL;
+        sampleMaterialEl.value = sampleMaterialKey;
+        spectrumEl.value = spectrumKey;
+        soluteEl.value = soluteKey;
+        temperatureEl.value = temperature;
+        updateConcentration(soluteKey, concentration);
+        concentrationModeEl.checked = concentrationMode;
+        updateSampleControls();
+        updateSourceControls();
+
+        // Without vertices the prism is the preset shape at its default size
+        const shapeKey = scene.prism.vertices === null && !PRISM_SHAPES[scene.prism.shape] ? DEFAULT_PRISM_SHAPE : scene.prism.shape;
+        setPrism(scene.prism.vertices || shapeVertices(PRISM_SHAPES[shapeKey], DEFAULT_PRISM_LENGTH), shapeKey);
+    }
+
+    // Scene of the link the page was opened with, of the options, of the last session or the default one, with the
+    // reason a scene was skipped
+    function initialScene() {
+        let message = "";
+        try {
+            const shared = options.sceneLink ? decodeSceneHash(window.location.hash) : null;
+            if (shared) {
+                // From now on the changes go to the autosave, the link would bring back the shared scene on a reload
+                history.replaceState(null, "", window.location.pathname + window.location.search);
+                return { scene: shared, message };
+            }
+        } catch (e) {
+            if (!(e instanceof SceneError)) {
+                throw e;
+            }
+            message = `The scene of the link can't be opened. ${e.message}`;
+        }
+        if (givenScene !== null) {
+            return { scene: givenScene, message };
+        }
+
+        const saved = options.autosave ? loadAutosave() : null;
+        if (saved !== null) {
+            try {
+                return { scene: loadScene(saved), message };
+            } catch (e) {
+                if (!(e instanceof SceneError)) {
+                    throw e;
+                }
+                message = `The scene of the last session was discarded. ${e.message}`;
+            }
+        }
+        return { scene: defaultScene(), message };
+    }
+
+    // Show a scene opened while the simulator is running
+    function sceneOpened(scene) {
+        validationMessageEl.innerText = "";
+        applyScene(scene);
+        sceneChanged();
+        clearTimeout(rerenderTimeout);
+        rerenderTimeout = setTimeout(() => requestAnimationFrame(DrawScene), 25);
+    }
+    function showMessage(message) {
+        validationMessageEl.innerText = message;
+    }
+
+    ///////////////////////////////////// RENDER FUNCTION /////////////////////////////////////////////////
+
+    // The custom materials follow the index sliders, with the dispersion and the dn/dT of a typical crown glass and of
+    // water. The materials are at the reference temperature
+    function prismMaterial() {
+        return prismMaterialKey === CUSTOM_MATERIAL
+            ? catalogMaterial("Custom", nPrism, { abbeNumber: DEFAULT_PRISM_ABBE, thermal: linearThermal(DEFAULT_PRISM_DNDT) })
+            : PRISM_MATERIALS[prismMaterialKey];
+    }
+
+    function sampleMaterial() {
+        if (concentrationMode) {
+            const solute = SOLUTES[soluteKey];
+            return catalogMaterial(solute.name, nSample, {
+                abbeNumber: DEFAULT_SAMPLE_ABBE,
+                thermal: linearThermal(thermalCoefficient(solute, concentration)),
+            });
+        }
+        return sampleMaterialKey === CUSTOM_MATERIAL
+            ? catalogMaterial("Custom", nSample, { abbeNumber: DEFAULT_SAMPLE_ABBE, thermal: customSampleThermal })
+            : SAMPLE_MATERIALS[sampleMaterialKey];
+    }
+
+    function DrawScene() {
+        if (destroyed) {
+            return;
+        }
+        if (inverseMode) {
+            solveInverse();
+        }
+        traces = traceSpectrum(
+            {
+                prism: prismVertices,
+                nAir,
+                sources,
+                bounds: traceBounds(),
+                maxBounces,
+                polarization,
+            },
+            atTemperature(prismMaterial(), temperature),
+            atTemperature(sampleMaterial(), temperature),
+            SPECTRA[spectrumKey].wavelengths
+        );
+
+        /////////////////////////////////////////////////////////////////////////////////////////////////
+
+        drawScene(mainContainer, { prism: prismVertices, traces, detector, view, animated: animationMode, exitCursor: inverseMode ? exitCursor() : null });
+
+        // Handles to drag the vertices of the prism around
+        while (vertexHandles.length < prismVertices.length) {
+            const handle = new PIXI.Graphics();
+            handle.vertexIndex = vertexHandles.length;
+            handle.interactive = true;
+            handle.buttonMode = true;
+            handle.on("pointerdown", vertexDragStart).on("pointerup", vertexDragEnd).on("pointerupoutside", vertexDragEnd).on("pointermove", vertexDragMove);
+            vertexHandles.push(handle);
+        }
+        vertexHandles.forEach((handle, i) => {
+            if (i < prismVertices.length) {
+                drawHandle(handle, toScreen(view, prismVertices[i]));
+                mainContainer.addChild(handle);
+            } else {
+                handle.clear();
+                mainContainer.removeChild(handle);
+            }
+        });
+
+        DrawSources();
+
+        if (inverseMode) {
+            drawExitCursorHandle(exitCursorHandle, exitCursor().end);
+            mainContainer.addChild(exitCursorHandle);
+        } else {
+            mainContainer.removeChild(exitCursorHandle);
+        }
+
+        // The rays have been traced again, the one under the cursor is picked on the next move
+        hoveredRay = null;
+        rayTooltipEl.hidden = true;
+        DrawAnnotations();
+        mainContainer.addChild(annotationLayer);
+        timelines = traces.map((trace) => trace.rays.map(rayTimeline));
+        DrawPulses();
+        mainContainer.addChild(pulseLayer);
+        rayTable.update();
+
+        // The detector sees all the wavelengths at once
+        DrawDetector({ rays: traces.flatMap((trace) => trace.rays) });
+        UpdateTemperatureReadout();
+        AnnounceIndices();
+        if (api !== null) {
+            api.traced(traceResults());
+        }
+    }
+
+    // Indices at the D line and at the temperature, and the critical angle they give
+    function indicesSummary() {
+        const prismIndex = atTemperature(prismMaterial(), temperature).nD;
+        const sampleIndex = atTemperature(sampleMaterial(), temperature).nD;
+        const criticalAngle = (180 / Math.PI) * Math.asin(sampleIndex / prismIndex);
+        return `Sample index ${sampleIndex.toFixed(4)}, prism index ${prismIndex.toFixed(4)}, ${
+            sampleIndex < prismIndex ? `critical angle ${criticalAngle.toFixed(2)}°` : "no critical angle"
+        }`;
+    }
+
+    // Give the index sliders their value as an index and tell the screen readers when the optics change
+    let announcedIndices = "";
+    function AnnounceIndices() {
+        nSampleEl.setAttribute("aria-valuetext", nSample.toFixed(4));
+        nPrismEl.setAttribute("aria-valuetext", nPrism.toFixed(4));
+
+        const text = indicesSummary();
+        if (text !== announcedIndices) {
+            announcedIndices = text;
+            announce(text);
+        }
+    }
+
+    // The rays go on to the edges of the canvas, and always as far as the detector even when it's out of sight
+    function traceBounds() {
+        const [[minX, minY], [maxX, maxY]] = sceneBox(TRACE_MARGIN);
+        const [[viewMinX, viewMinY], [viewMaxX, viewMaxY]] = visibleBox(view, app.screen.width, app.screen.height);
+        return [
+            [Math.min(minX, viewMinX), Math.min(minY, viewMinY)],
+            [Math.max(maxX, viewMaxX), Math.max(maxY, viewMaxY)],
+        ];
+    }
+
+    // Draw the pulses at the current time of the animation
+    function DrawPulses() {
+        if (animationMode) {
+            drawPulses(pulseLayer, { traces, timelines, time: animationTime, sample: atTemperature(sampleMaterial(), temperature), view });
+        } else {
+            pulseLayer.clear();
+        }
+    }
+
+    // Draw every source with a marker along its central direction, the selected one is highlighted
+    function DrawSources() {
+        const frontNormal = faceByRole(prismFaces(prismVertices), FACES.FRONT).normal;
+        while (sourceObjects.length < sources.length) {
+            const body = new PIXI.Graphics();
+            const knob = new PIXI.Graphics();
+            body.sourceIndex = knob.sourceIndex = sourceObjects.length;
+            body.rotateHandle = false;
+            knob.rotateHandle = true;
+            [body, knob].forEach((handle) => {
+                handle.interactive = true;
+                handle.buttonMode = true;
+                handle
+                    .on("pointerdown", sourceDragStart)
+                    .on("pointerup", sourceDragEnd)
+                    .on("pointerupoutside", sourceDragEnd)
+                    .on("pointermove", sourceDragMove);
+            });
+            // A button over the source, invisible to the pointer, takes the keyboard focus for it
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "source-focus";
+            button.sourceIndex = body.sourceIndex;
+            button.addEventListener("focus", sourceFocused);
+            button.addEventListener("keydown", sourceKeyDown);
+            renderContainerEl.appendChild(button);
+            sourceObjects.push({ body, knob, button });
+        }
+
+        sourceObjects.forEach(({ body, knob, button }, i) => {
+            button.hidden = i >= sources.length;
+            if (i >= sources.length) {
+                body.clear();
+                knob.clear();
+                mainContainer.removeChild(body, knob);
+                return;
+            }
+
+            drawSource(body, knob, sources[i], { selected: i === selectedSource, frontNormal, view });
+            button.style.left = `${body.x}px`;
+            button.style.top = `${body.y}px`;
+            button.setAttribute("aria-label", `${describeSource(i)}. Arrow keys move it, comma and period turn it, Shift for larger steps`);
+            mainContainer.addChild(body, knob);
+        });
+    }
+
+    // Position and direction of a source for the screen readers
+    function describeSource(index) {
+        const source = sources[index];
+        const [x, y] = source.position;
+        const aim = source.angle === null ? "aimed at the prism" : `pointing at ${source.angle}°`;
+        return `Light source ${index + 1}, ${source.type}, at ${x.toFixed(0)} by ${y.toFixed(0)} mm, ${aim}`;
+    }
+
+    // Find the ray passing closest to the screen point, within HOVER_DISTANCE
+    function rayNear(screenPoint) {
+        const point = toModel(view, screenPoint);
+        let nearest = null;
+        let nearestDistance = HOVER_DISTANCE / view.scale;
+
+        traces.forEach((trace) => {
+            trace.rays.forEach((ray) => {
+                ray.segments.forEach((segment) => {
+                    const distance = MathVec.pointSegmentDistance(point, segment.from, segment.to);
+                    if (distance <= nearestDistance) {
+                        nearestDistance = distance;
+                        nearest = { ray, wavelength: trace.wavelength };
+                    }
+                });
+            });
+        });
+
+        return nearest;
+    }
+
+    // Path data of a ray for the tooltip, one line per face hit
+    function describeRay(ray, wavelength) {
+        const degrees = (angle) => `${((180 / Math.PI) * Math.abs(angle)).toFixed(1)}°`;
+        const lines = [`Source ${ray.source + 1}, ray at ${((180 / Math.PI) * ray.launchAngle).toFixed(1)}°, λ = ${wavelength} nm`];
+
+        ray.hits.forEach((hit) => {
+            const face = hit.face.charAt(0).toUpperCase() + hit.face.slice(1);
+            const position = `(${hit.point[0].toFixed(2)}, ${hit.point[1].toFixed(2)}) mm`;
+            const outcome = hit.reflected
+                ? `totally reflected at ${degrees(hit.outgoingAngle)}`
+                : `refracted at ${degrees(hit.outgoingAngle)}, ${(hit.reflectance * 100).toFixed(1)}% reflected`;
+            lines.push(`${face} face at ${position}: incidence ${degrees(hit.incidenceAngle)}, ${outcome}`);
+        });
+
+        const intensity = ray.segments[ray.segments.length - 1].intensity;
+        if (ray.hits.length === 0) {
+            lines.push("Misses the prism");
+        } else if (ray.complete) {
+            lines.push(`Leaves the prism with ${(intensity * 100).toFixed(1)}% of its power`);
+        } else {
+            lines.push(`Still inside the prism after ${ray.hits.length} bounces`);
+        }
+        return lines.join("\n");
+    }
+
+    // The rays labeled with their angles: the one under the cursor, or the central ray of every source
+    function annotatedRays() {
+        if (hoveredRay !== null) {
+            return [hoveredRay.ray];
+        }
+        return sources.map((source, i) => {
+            const rays = traces[0].rays.filter((ray) => ray.source === i);
+            const smallestAngle = Math.min(...rays.map((ray) => Math.abs(ray.launchAngle)));
+            const central = rays.filter((ray) => Math.abs(ray.launchAngle) === smallestAngle);
+            return central[Math.floor(central.length / 2)];
+        });
+    }
+
+    // Draw the normals at the hit points, the angles of the annotated rays and the critical angle cone under the top face
+    function DrawAnnotations() {
+        drawAnnotations(annotationLayer, {
+            traces,
+            annotatedRays: showAnnotations && traces.length > 0 ? annotatedRays() : null,
+            highlighted: hoveredRay !== null,
+            prism: prismVertices,
+            view,
+        });
+    }
+
+    // Plot every quantity of the last sweep against the swept parameter, one chart below the other
+    // Read the detector, draw its intensity profile and show the index measured from the boundary it finds
+    function DrawDetector(trace) {
+        const reading = readDetector(trace, detector, DETECTOR_BINS);
+        detectorReading = reading;
+        measuredIndices = { raw: null, compensated: null };
+        drawDetectorProfile(detectorContainer, reading, detectorApp.screen.width, DETECTOR_PANEL_HEIGHT);
+
+        if (reading.edgePosition === null) {
+            detectorText.text = "No light/dark boundary on the detector";
+            detectorApp.view.setAttribute("aria-label", `Detector profile. ${detectorText.text}`);
+            return;
+        }
+
+        // The refractometer is calibrated at the reference temperature
+        measuredIndices = temperatureReadings(prismVertices, prismMaterial(), sampleMaterial().thermal, temperature, reading.edgeDirection, nAir);
+        const { raw, compensated } = measuredIndices;
+        const formatIndex = (index) => (index === null ? "-" : index.toFixed(4));
+        detectorText.text = `Boundary at ${(reading.edgePosition * 100).toFixed(1)}% of the detector, measured index: ${formatIndex(raw)}${
+            atc ? `, ATC: ${formatIndex(compensated)}` : ""
+        }`;
+        detectorApp.view.setAttribute("aria-label", `Detector profile. ${detectorText.text}`);
+    }
+
+    // Index shifts of the sample and the prism from the reference temperature, and how far they moved the shadow line,
+    // in angle and along the detector
+    function UpdateTemperatureReadout() {
+        if (temperature === REFERENCE_TEMPERATURE) {
+            temperatureReadoutEl.innerText = `At the reference temperature of ${REFERENCE_TEMPERATURE} °C`;
+            return;
+        }
+
+        const signed = (value, digits) => `${value < 0 ? "−" : "+"}${Math.abs(value).toFixed(digits)}`;
+        const sampleShift = sampleMaterial().thermal(temperature);
+        const prismShift = prismMaterial().thermal(temperature);
+        let text = `At ${temperature.toFixed(1)} °C: sample Δn ${signed(sampleShift, 5)}, prism Δn ${signed(prismShift, 6)}`;
+        const angles = shadowLineAngles(prismVertices, prismMaterial(), sampleMaterial(), temperature, nAir);
+        if (angles !== null) {
+            const shift = (180 / Math.PI) * (angles.actual - angles.reference);
+            const distance = DETECTOR_DISTANCE * (Math.tan(angles.actual) - Math.tan(angles.reference));
+            text += `, shadow line moved by ${signed(shift, 3)}° (${signed(distance, 2)} mm on the detector)`;
+        }
+        temperatureReadoutEl.innerText = text;
+    }
+
+    ////////////////////////////////////////// API //////////////////////////////////////////////////////
+
+    const OPTION_PARAMETERS = {
+        showAnnotations: checkboxParameter(showAnnotationsEl, () => showAnnotations, showAnnotationsChanged),
+        atc: checkboxParameter(atcEl, () => atc, atcChanged),
+        inverseMode: checkboxParameter(inverseModeEl, () => inverseMode, inverseModeChanged),
+        measuredAngle: numberParameter(measuredAngleEl, () => measuredAngle, setMeasuredAngle, -89, 89),
+        angleUncertainty: numberParameter(angleUncertaintyEl, () => angleUncertainty, setAngleUncertainty, 0, 10),
+        animationMode: checkboxParameter(animationModeEl, () => animationMode, animationModeChanged),
+        animationPlaying: {
+            get: () => animationPlaying,
+            check: (value) => typeof value === "boolean",
+            expected: "true or false",
+            set: (value) => value !== animationPlaying && animationPlayClicked(),
+        },
+        animationSpeed: numberParameter(animationSpeedEl, () => animationSpeed, setAnimationSpeed, 0.1, 5, 10),
+    };
+
+    function traceResults() {
+        return {
+            traces,
+            temperature,
+            edgePosition: detectorReading === null ? null : detectorReading.edgePosition,
+            measuredIndex: measuredIndices.raw,
+            compensatedIndex: measuredIndices.compensated,
+        };
+    }
+
+    function destroy() {
+        destroyed = true;
+        clearTimeout(rerenderTimeout);
+        clearTimeout(announceTimeout);
+        rootEl.removeEventListener("keydown", indexShortcut);
+        containerResizeObserver.disconnect();
+        scenePanel.destroy();
+        sweepPanel.destroy();
+        [app, detectorApp].forEach((pixiApp) => pixiApp.destroy(true, { children: true }));
+        container.innerHTML = "";
+    }
+
+    api = createInstance({
+        currentScene,
+        options: OPTION_PARAMETERS,
+        applyScene: (scene) => {
+            validationMessageEl.innerText = "";
+            applyScene(scene);
+        },
+        // Traced right away, so the results are there when set returns
+        commit: () => {
+            sceneChanged();
+            clearTimeout(rerenderTimeout);
+            DrawScene();
+        },
+        traceResults,
+        destroy,
+    });
+
+    DrawScene();
+    return api.instance;
+}
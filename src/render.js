@@ -0,0 +1,423 @@
+/**
+ * @file Drawing of a simulator instance with Pixi.js: the scene canvas with the prism, the rays, the sources, the
+ * annotations and the animation pulses, the detector profile and the sweep charts. Every function draws the state it
+ * is given on the graphics it is given, clearing them first. The model points go through the view, the sizes of the
+ * handles, markers and labels are in screen pixels
+ */
+
+import * as PIXI from "pixi.js";
+import { pulsesOnRay, topFaceEvents } from "./animation";
+import { FACES, faceByRole, prismFaces } from "./geometry";
+import { MathVec } from "./math";
+import { centralDirection, SOURCE_TYPES } from "./sources";
+import { wavelengthToColor } from "./spectrum";
+import { SWEEP_METRICS, SWEEP_PARAMETERS, sweepLabel } from "./sweep";
+import { toScreen } from "./view";
+
+const BACKGROUND_COLOR = 0x121212;
+const TEXT_STYLE = { fontFamily: "Century Gothic", fill: 0xffffff };
+
+const RAY_COLOR = 0xffffff;
+const RAY_DIM_COLOR = 0x444444;
+// Rays are drawn faintly under the pulses
+const ANIMATED_RAY_ALPHA = 0.3;
+const DETECTOR_COLOR = 0x940000;
+const EXIT_CURSOR_COLOR = 0xffc107;
+
+// Length of the direction marker of the sources, its end is the handle to rotate them
+const SOURCE_MARKER_LENGTH = 30;
+
+// A pulse is launched down every ray each PULSE_PERIOD mm of light path, the top face shows what a pulse does there
+// for TOP_FACE_FADE mm
+const PULSE_PERIOD = 40;
+const TOP_FACE_FADE = 24;
+const PULSE_RADIUS = 3;
+const EVANESCENT_COLOR = 0xffc107;
+// Screen size of the evanescent glow: its height is drawn this many pixels per wavelength of penetration depth, up
+// to the largest height, with a few layers fading away from the face
+const EVANESCENT_SCALE = 40;
+const EVANESCENT_MAX_HEIGHT = 36;
+const EVANESCENT_HALF_WIDTH = 10;
+const EVANESCENT_LAYERS = 4;
+
+const ANNOTATION_COLOR = 0x4fc3f7;
+// Half length of the normals drawn at the hit points and radius of the critical angle cone
+const NORMAL_LENGTH = 20;
+const CRITICAL_CONE_RADIUS = 110;
+
+const SWEEP_CHART_WIDTH = 800;
+const SWEEP_CHART_HEIGHT = 200;
+const SWEEP_LINE_COLOR = 0x4fc3f7;
+const SWEEP_AXIS_COLOR = 0x666666;
+
+/**
+ * Blend between the dim and the full ray color according to the carried intensity
+ * @param {number} intensity From 0 to 1
+ * @returns {number}
+ */
+export function rayColor(intensity) {
+    const channel = (shift) => {
+        const dim = (RAY_DIM_COLOR >> shift) & 0xff;
+        const full = (RAY_COLOR >> shift) & 0xff;
+        return Math.round(dim + (full - dim) * intensity) << shift;
+    };
+    return channel(16) | channel(8) | channel(0);
+}
+
+// Same as rayColor but starting from the color of the given wavelength
+function spectralRayColor(wavelength, intensity) {
+    const dim = (RAY_DIM_COLOR & 0xff) / 0xff;
+    return wavelengthToColor(wavelength, dim + (1 - dim) * intensity);
+}
+
+/**
+ * Draw the prism, the rays and the detector
+ * @param {PIXI.Graphics} graphics
+ * @param {Object} scene
+ * @param {number[][]} scene.prism Prism vertices
+ * @param {(import("./tracer").TraceResult & {wavelength: number})[]} scene.traces One per wavelength
+ * @param {import("./detector").Detector} scene.detector
+ * @param {import("./view").View} scene.view
+ * @param {boolean} scene.animated Whether the pulses go over the rays
+ * @param {?{anchor: number[], end: number[]}} scene.exitCursor Screen points of the cursor of the inverse mode, null
+ * to leave it out
+ */
+export function drawScene(graphics, { prism, traces, detector, view, animated, exitCursor }) {
+    graphics.clear();
+
+    graphics.lineStyle(3, 0xffffff, 1);
+    graphics.drawPolygon(prism.map((vertex) => toScreen(view, vertex)).flat());
+
+    if (exitCursor !== null) {
+        graphics.lineStyle(2, EXIT_CURSOR_COLOR, 1);
+        graphics.moveTo(...exitCursor.anchor);
+        graphics.lineTo(...exitCursor.end);
+    }
+
+    // Rays are drawn brighter the more power they carry, so after the top face the partially reflected rays
+    // are dimmer and the totally reflected ones keep the full brightness. With more than one wavelength
+    // each ray takes its spectral color
+    const colored = traces.length > 1;
+    const rayAlpha = animated ? ANIMATED_RAY_ALPHA : 1;
+    traces.forEach((trace) => {
+        trace.rays.forEach((ray) => {
+            ray.segments.forEach((segment) => {
+                graphics.lineStyle(2, colored ? spectralRayColor(trace.wavelength, segment.intensity) : rayColor(segment.intensity), rayAlpha);
+                graphics.moveTo(...toScreen(view, segment.from));
+                graphics.lineTo(...toScreen(view, segment.to));
+            });
+        });
+    });
+
+    graphics.lineStyle(4, DETECTOR_COLOR, 1);
+    graphics.moveTo(...toScreen(view, detector.start));
+    graphics.lineTo(...toScreen(view, detector.end));
+}
+
+/**
+ * Draw a round handle, the prism vertices are dragged by them
+ * @param {PIXI.Graphics} handle
+ * @param {number[]} position Screen point
+ * @param {Object} [style]
+ * @param {number} [style.color]
+ * @param {number} [style.radius] In pixels
+ */
+export function drawHandle(handle, position, { color = 0xffffff, radius = 5 } = {}) {
+    handle.clear();
+    handle.lineStyle(2, color, 1);
+    handle.beginFill(BACKGROUND_COLOR);
+    handle.drawCircle(0, 0, radius);
+    handle.endFill();
+    [handle.x, handle.y] = position;
+}
+
+/**
+ * Draw the handle at the end of the cursor of the inverse mode, which turns it
+ * @param {PIXI.Graphics} handle
+ * @param {number[]} position Screen point
+ */
+export function drawExitCursorHandle(handle, position) {
+    drawHandle(handle, position, { color: EXIT_CURSOR_COLOR, radius: 6 });
+}
+
+/**
+ * Draw a source with a marker along its central direction, and the knob at the end of the marker. The selected
+ * source is highlighted
+ * @param {PIXI.Graphics} body Moves the source
+ * @param {PIXI.Graphics} knob Turns the source
+ * @param {import("./sources").LightSource} source
+ * @param {Object} options
+ * @param {boolean} options.selected
+ * @param {number[]} options.frontNormal Normal of the front face of the prism, the sources aimed at the prism go
+ * against it
+ * @param {import("./view").View} options.view
+ */
+export function drawSource(body, knob, source, { selected, frontNormal, view }) {
+    const color = selected ? 0xffffff : 0x999999;
+    const direction = centralDirection(source, frontNormal);
+
+    body.clear();
+    body.lineStyle(2, color, 1);
+    body.beginFill(color);
+    if (source.type === SOURCE_TYPES.POINT) {
+        body.drawCircle(0, 0, 4);
+    } else {
+        // Collimated and extended sources are drawn as their emitting surface
+        const half = (source.width / 2) * view.scale;
+        body.drawPolygon([-direction[1] * half, direction[0] * half, direction[1] * half, -direction[0] * half]);
+        body.drawCircle(0, 0, 3);
+    }
+    body.endFill();
+    body.moveTo(0, 0);
+    body.lineTo(direction[0] * SOURCE_MARKER_LENGTH, direction[1] * SOURCE_MARKER_LENGTH);
+    [body.x, body.y] = toScreen(view, source.position);
+
+    drawHandle(knob, [body.x + direction[0] * SOURCE_MARKER_LENGTH, body.y + direction[1] * SOURCE_MARKER_LENGTH], { color, radius: 4 });
+}
+
+/**
+ * Draw the pulses at a time of the animation and what they do at the top face: the part refracted into the sample
+ * goes on at its own speed, a total reflection lights up the evanescent wave reaching past the face
+ * @param {PIXI.Graphics} graphics
+ * @param {Object} animation
+ * @param {(import("./tracer").TraceResult & {wavelength: number})[]} animation.traces
+ * @param {import("./animation").RayTimeline[][]} animation.timelines Timeline of every ray of every trace
+ * @param {number} animation.time
+ * @param {import("./catalog").CatalogMaterial} animation.sample Sample at its temperature
+ * @param {import("./view").View} animation.view
+ */
+export function drawPulses(graphics, { traces, timelines, time, sample, view }) {
+    graphics.clear();
+
+    const colored = traces.length > 1;
+    traces.forEach((trace, t) => {
+        const nSample = sample.index(trace.wavelength);
+        const color = colored ? wavelengthToColor(trace.wavelength) : RAY_COLOR;
+        trace.rays.forEach((ray, r) => {
+            const timeline = timelines[t][r];
+            pulsesOnRay(ray, timeline, time, PULSE_PERIOD).forEach((pulse) => {
+                graphics.beginFill(color, 0.25 + 0.75 * pulse.intensity);
+                graphics.drawCircle(...toScreen(view, pulse.point), PULSE_RADIUS);
+                graphics.endFill();
+            });
+
+            topFaceEvents(ray, timeline, time, PULSE_PERIOD, nSample, TOP_FACE_FADE).forEach((event) => {
+                if (event.leak !== null) {
+                    graphics.beginFill(color, event.strength * event.intensity);
+                    graphics.drawCircle(...toScreen(view, event.leak), PULSE_RADIUS);
+                    graphics.endFill();
+                    return;
+                }
+
+                // The deeper the wave reaches the taller the glow, the depth grows without bounds at the critical angle
+                const height = event.depth === null ? EVANESCENT_MAX_HEIGHT : Math.min(EVANESCENT_MAX_HEIGHT, event.depth * EVANESCENT_SCALE);
+                const point = toScreen(view, event.hit.point);
+                const along = MathVec.scale([-event.hit.normal[1], event.hit.normal[0]], EVANESCENT_HALF_WIDTH);
+                graphics.lineStyle(0);
+                for (let layer = 0; layer < EVANESCENT_LAYERS; layer++) {
+                    const [from, to] = [layer, layer + 1].map((k) => MathVec.add(point, MathVec.scale(event.hit.normal, (k * height) / EVANESCENT_LAYERS)));
+                    graphics.beginFill(EVANESCENT_COLOR, event.strength * event.intensity * 0.6 * Math.exp(-layer));
+                    graphics.drawPolygon([...MathVec.sub(from, along), ...MathVec.add(from, along), ...MathVec.add(to, along), ...MathVec.sub(to, along)]);
+                    graphics.endFill();
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Draw the normals at the hit points, the angles of the annotated rays and the critical angle cone under the top face
+ * @param {PIXI.Container} layer Emptied and filled with the annotations
+ * @param {Object} scene
+ * @param {(import("./tracer").TraceResult & {wavelength: number})[]} scene.traces The normals and the cone are drawn
+ * for the first one
+ * @param {?import("./tracer").RayPath[]} scene.annotatedRays Rays labeled with their angles, null to draw nothing
+ * @param {boolean} scene.highlighted Whether the annotated rays are drawn over, as the ray under the cursor is
+ * @param {number[][]} scene.prism Prism vertices
+ * @param {import("./view").View} scene.view
+ */
+export function drawAnnotations(layer, { traces, annotatedRays, highlighted, prism, view }) {
+    layer.removeChildren().forEach((child) => child.destroy());
+    if (annotatedRays === null) {
+        return;
+    }
+
+    const graphics = new PIXI.Graphics();
+    layer.addChild(graphics);
+    const degrees = (angle) => ((180 / Math.PI) * Math.abs(angle)).toFixed(1);
+    const addLabel = (text, position) => {
+        const label = new PIXI.Text(text, { ...TEXT_STYLE, fontSize: 11, fill: ANNOTATION_COLOR });
+        label.x = position[0];
+        label.y = position[1];
+        layer.addChild(label);
+    };
+
+    graphics.lineStyle(1, ANNOTATION_COLOR, 0.35);
+    traces[0].rays.forEach((ray) => {
+        ray.hits.forEach((hit) => {
+            const point = toScreen(view, hit.point);
+            graphics.moveTo(...MathVec.add(point, MathVec.scale(hit.normal, -NORMAL_LENGTH)));
+            graphics.lineTo(...MathVec.add(point, MathVec.scale(hit.normal, NORMAL_LENGTH)));
+        });
+    });
+
+    annotatedRays.forEach((ray) => {
+        if (highlighted) {
+            graphics.lineStyle(3, ANNOTATION_COLOR, 0.8);
+            ray.segments.forEach((segment) => {
+                graphics.moveTo(...toScreen(view, segment.from));
+                graphics.lineTo(...toScreen(view, segment.to));
+            });
+        }
+        graphics.lineStyle(1, ANNOTATION_COLOR, 1);
+        ray.hits.forEach((hit) => {
+            const point = toScreen(view, hit.point);
+            graphics.moveTo(...MathVec.add(point, MathVec.scale(hit.normal, -2 * NORMAL_LENGTH)));
+            graphics.lineTo(...MathVec.add(point, MathVec.scale(hit.normal, 2 * NORMAL_LENGTH)));
+            const outgoing = hit.reflected ? "θr" : "θt";
+            addLabel(`θi ${degrees(hit.incidenceAngle)}°\n${outgoing} ${degrees(hit.outgoingAngle)}°`, MathVec.add(point, [6, 4]));
+        });
+    });
+
+    // Rays reaching the top face within the cone are partially refracted into the sample, the others are totally
+    // reflected
+    const criticalAngle = traces[0].criticalAngle;
+    if (!Number.isNaN(criticalAngle)) {
+        const top = faceByRole(prismFaces(prism), FACES.TOP);
+        const apex = toScreen(view, MathVec.scale(MathVec.add(top.start, top.end), 0.5));
+        const inward = MathVec.scale(top.normal, -1);
+        const [left, right] = [-criticalAngle, criticalAngle].map((angle) => MathVec.rotate2d(...inward, angle));
+
+        graphics.lineStyle(1, ANNOTATION_COLOR, 1);
+        graphics.beginFill(ANNOTATION_COLOR, 0.12);
+        graphics.moveTo(...apex);
+        graphics.lineTo(...MathVec.add(apex, MathVec.scale(left, CRITICAL_CONE_RADIUS)));
+        graphics.arc(...apex, CRITICAL_CONE_RADIUS, Math.atan2(left[1], left[0]), Math.atan2(right[1], right[0]));
+        graphics.lineTo(...apex);
+        graphics.endFill();
+        addLabel(`θc ${degrees(criticalAngle)}°`, MathVec.add(apex, MathVec.scale(inward, CRITICAL_CONE_RADIUS + 6)));
+    }
+}
+
+/**
+ * Draw the intensity profile seen by the detector, from its start to its end, and the boundary it finds
+ * @param {PIXI.Graphics} graphics
+ * @param {import("./detector").DetectorReading} reading
+ * @param {number} width Of the panel, in pixels
+ * @param {number} height Of the panel, in pixels
+ */
+export function drawDetectorProfile(graphics, reading, width, height) {
+    // The top of the panel is left to the text of the reading
+    const top = 36;
+    const plotHeight = height - top - 10;
+    const binWidth = width / reading.bins.length;
+
+    graphics.clear();
+
+    reading.bins.forEach((bin, i) => {
+        if (bin.count > 0) {
+            const barHeight = Math.max(1, bin.intensity * plotHeight);
+            graphics.lineStyle(0);
+            graphics.beginFill(rayColor(bin.intensity));
+            graphics.drawRect(i * binWidth, top + plotHeight - barHeight, binWidth - 1, barHeight);
+            graphics.endFill();
+        }
+    });
+
+    if (reading.edgePosition !== null) {
+        const edgeX = reading.edgePosition * width;
+        graphics.lineStyle(2, DETECTOR_COLOR, 1);
+        graphics.moveTo(edgeX, top);
+        graphics.lineTo(edgeX, top + plotHeight);
+    }
+}
+
+/**
+ * Plot every quantity of a sweep against the swept parameter, one chart below the other. The canvas is sized to
+ * hold them
+ * @param {PIXI.Application} app
+ * @param {{key: string, metrics: string[], points: {value: number, metrics: Object<string, ?number>}[]}} sweep Key
+ * of the swept parameter, keys of the plotted metrics and the points of runSweep
+ */
+export function drawSweepCharts(app, sweep) {
+    app.renderer.resize(SWEEP_CHART_WIDTH, SWEEP_CHART_HEIGHT * sweep.metrics.length);
+    app.stage.removeChildren().forEach((child) => child.destroy({ children: true }));
+
+    const parameter = SWEEP_PARAMETERS[sweep.key];
+    const xs = sweep.points.map((point) => point.value);
+    const [xMin, xMax] = [Math.min(...xs), Math.max(...xs)];
+    const margin = { left: 70, right: 20, top: 28, bottom: 34 };
+    const plotWidth = SWEEP_CHART_WIDTH - margin.left - margin.right;
+    const plotHeight = SWEEP_CHART_HEIGHT - margin.top - margin.bottom;
+    const textStyle = { ...TEXT_STYLE, fontSize: 11 };
+    const digits = (min, max) => Math.max(0, Math.min(4, 2 - Math.floor(Math.log10(Math.max(max - min, 1e-6)))));
+
+    sweep.metrics.forEach((key, chart) => {
+        const metric = SWEEP_METRICS[key];
+        const chartContainer = new PIXI.Container();
+        chartContainer.y = chart * SWEEP_CHART_HEIGHT;
+        app.stage.addChild(chartContainer);
+
+        const graphics = new PIXI.Graphics();
+        chartContainer.addChild(graphics);
+        // An opaque background, so the exported image looks like the panel
+        graphics.beginFill(BACKGROUND_COLOR);
+        graphics.drawRect(0, 0, SWEEP_CHART_WIDTH, SWEEP_CHART_HEIGHT);
+        graphics.endFill();
+
+        const addText = (text, x, y, anchorX = 0, anchorY = 0) => {
+            const label = new PIXI.Text(text, textStyle);
+            label.anchor.set(anchorX, anchorY);
+            label.x = x;
+            label.y = y;
+            chartContainer.addChild(label);
+        };
+        addText(`${sweepLabel(metric.name, metric.unit)} vs ${sweepLabel(parameter.name, parameter.unit).toLowerCase()}`, margin.left, 8);
+
+        graphics.lineStyle(1, SWEEP_AXIS_COLOR, 1);
+        graphics.drawRect(margin.left, margin.top, plotWidth, plotHeight);
+
+        const ys = sweep.points.map((point) => point.metrics[key]).filter((y) => y !== null);
+        if (ys.length === 0) {
+            addText("Not measurable over this range", margin.left + plotWidth / 2, margin.top + plotHeight / 2, 0.5, 0.5);
+            return;
+        }
+        let [yMin, yMax] = [Math.min(...ys), Math.max(...ys)];
+        if (yMax - yMin < 1e-9) {
+            yMin -= 1;
+            yMax += 1;
+        }
+        const toX = (x) => margin.left + ((x - xMin) / (xMax - xMin)) * plotWidth;
+        const toY = (y) => margin.top + plotHeight - ((y - yMin) / (yMax - yMin)) * plotHeight;
+
+        [0, 0.5, 1].forEach((fraction) => {
+            const x = xMin + (xMax - xMin) * fraction;
+            const y = yMin + (yMax - yMin) * fraction;
+            addText(x.toFixed(digits(xMin, xMax)), toX(x), margin.top + plotHeight + 6, 0.5, 0);
+            addText(y.toFixed(digits(yMin, yMax)), margin.left - 6, toY(y), 1, 0.5);
+        });
+
+        // The line is broken where the quantity can't be measured
+        graphics.lineStyle(2, SWEEP_LINE_COLOR, 1);
+        let drawing = false;
+        sweep.points.forEach((point) => {
+            const y = point.metrics[key];
+            if (y === null) {
+                drawing = false;
+            } else if (drawing) {
+                graphics.lineTo(toX(point.value), toY(y));
+            } else {
+                graphics.moveTo(toX(point.value), toY(y));
+                drawing = true;
+            }
+        });
+        graphics.lineStyle(0);
+        graphics.beginFill(SWEEP_LINE_COLOR);
+        sweep.points.forEach((point) => {
+            if (point.metrics[key] !== null) {
+                graphics.drawCircle(toX(point.value), toY(point.metrics[key]), 2);
+            }
+        });
+        graphics.endFill();
+    });
+}
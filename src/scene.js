@@ -0,0 +1,305 @@
+/**
+ * @file Scene documents: the whole setup of the simulator in a single versioned object, validated against a schema
+ * before it is used. Documents written by older versions are migrated step by step to the current one, so saved
+ * scenes, shared links and downloaded files keep working.
+ */
+
+import { CUSTOM_MATERIAL, PRISM_MATERIALS, SAMPLE_MATERIALS } from "./catalog";
+import { concentrationToIndex, maxConcentration, REFERENCE_TEMPERATURE, SOLUTES } from "./concentration";
+import { POLARIZATIONS } from "./fresnel";
+import { CUSTOM_SHAPE, isConvex, PRISM_SHAPES } from "./geometry";
+import { SPECTRA } from "./materials";
+import { createSource, DISTRIBUTIONS, SOURCE_TYPES } from "./sources";
+import { DEFAULT_MAX_BOUNCES } from "./tracer";
+
+export const SCENE_VERSION = 1;
+
+// Name of the hash parameter holding a shared scene
+const HASH_PARAMETER = "scene";
+
+// Scale of the fixed size canvas the settings were saved from, the scene documents are in millimeters
+const LEGACY_PX_PER_MM = 2.5;
+
+/**
+ * @typedef {Object} SceneDocument
+ * @property {number} version SCENE_VERSION of the format
+ * @property {{index: number, material: string, concentrationMode: boolean, solute: string, concentration: number}} sample
+ * Index of the custom sample, catalog material and solution of the concentration mode, at the reference temperature
+ * @property {{index: number, material: string, shape: string, vertices: ?number[][]}} prism Index of the custom
+ * prism, catalog material, preset shape and vertices in mm. Null vertices stand for the preset shape at its default size
+ * @property {import("./sources").LightSource[]} sources
+ * @property {number} temperature Temperature of the sample and the prism, in °C
+ * @property {string} spectrum Key of SPECTRA
+ * @property {string} polarization One of POLARIZATIONS
+ * @property {number} maxBounces
+ */
+
+// Error raised for documents that can't be read, with a message meant for the user
+export class SceneError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SceneError";
+    }
+}
+
+const POINT_SCHEMA = { type: "array", length: 2, items: { type: "number" } };
+
+const SOURCE_SCHEMA = {
+    type: "object",
+    properties: {
+        type: { type: "string", enum: Object.values(SOURCE_TYPES) },
+        position: POINT_SCHEMA,
+        angle: { type: "number", min: -180, max: 180, nullable: true },
+        numRays: { type: "number", integer: true, min: 5, max: 100 },
+        spread: { type: "number", min: 1, max: 45 },
+        width: { type: "number", min: 0.1, max: 500 },
+        distribution: { type: "string", enum: Object.values(DISTRIBUTIONS) },
+        seed: { type: "number", integer: true, min: 0, max: 0xffffffff },
+    },
+};
+
+const SCENE_SCHEMA = {
+    type: "object",
+    properties: {
+        version: { type: "number", integer: true, min: SCENE_VERSION, max: SCENE_VERSION },
+        sample: {
+            type: "object",
+            properties: {
+                index: { type: "number", min: 1, max: 2 },
+                material: { type: "string", enum: [CUSTOM_MATERIAL, ...Object.keys(SAMPLE_MATERIALS)] },
+                concentrationMode: { type: "boolean" },
+                solute: { type: "string", enum: Object.keys(SOLUTES) },
+                concentration: { type: "number", min: 0 },
+            },
+        },
+        prism: {
+            type: "object",
+            properties: {
+                index: { type: "number", min: 1, max: 2 },
+                material: { type: "string", enum: [CUSTOM_MATERIAL, ...Object.keys(PRISM_MATERIALS)] },
+                shape: { type: "string", enum: [CUSTOM_SHAPE, ...Object.keys(PRISM_SHAPES)] },
+                vertices: { type: "array", minItems: 3, items: POINT_SCHEMA, nullable: true },
+            },
+        },
+        sources: { type: "array", minItems: 1, items: SOURCE_SCHEMA },
+        temperature: { type: "number", min: 0, max: 100 },
+        spectrum: { type: "string", enum: Object.keys(SPECTRA) },
+        polarization: { type: "string", enum: Object.values(POLARIZATIONS) },
+        maxBounces: { type: "number", integer: true, min: 1, max: 30 },
+    },
+};
+
+/**
+ * Check a value against a schema. Every property of an object schema is required
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path Location of the value in the document, for the error messages
+ * @returns {?string} Description of the first problem found, null if the value is valid
+ */
+function checkSchema(value, schema, path) {
+    if (value === null && schema.nullable) {
+        return null;
+    }
+    if (value === undefined) {
+        return `${path} is missing`;
+    }
+
+    switch (schema.type) {
+        case "number":
+            if (typeof value !== "number" || !Number.isFinite(value) || (schema.integer && !Number.isInteger(value))) {
+                return `${path} must be ${schema.integer ? "an integer" : "a number"}`;
+            }
+            if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+                return `${path} must be ${schema.max === undefined ? `at least ${schema.min}` : `between ${schema.min} and ${schema.max}`}`;
+            }
+            return null;
+        case "string":
+            if (typeof value !== "string" || (schema.enum && !schema.enum.includes(value))) {
+                return `${path} must be one of ${schema.enum.join(", ")}`;
+            }
+            return null;
+        case "boolean":
+            return typeof value === "boolean" ? null : `${path} must be true or false`;
+        case "array":
+            if (!Array.isArray(value)) {
+                return `${path} must be a list`;
+            }
+            if (schema.length !== undefined && value.length !== schema.length) {
+                return `${path} must have ${schema.length} items`;
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return `${path} must have at least ${schema.minItems} items`;
+            }
+            for (let i = 0; i < value.length; i++) {
+                const error = checkSchema(value[i], schema.items, `${path}[${i}]`);
+                if (error) {
+                    return error;
+                }
+            }
+            return null;
+        default:
+            if (typeof value !== "object" || value === null || Array.isArray(value)) {
+                return `${path} must be an object`;
+            }
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const error = checkSchema(value[key], propertySchema, path ? `${path}.${key}` : key);
+                if (error) {
+                    return error;
+                }
+            }
+            return null;
+    }
+}
+
+/**
+ * The scene shown on the first start
+ * @returns {SceneDocument}
+ */
+export function defaultScene() {
+    return {
+        version: SCENE_VERSION,
+        sample: { index: 1.3, material: CUSTOM_MATERIAL, concentrationMode: false, solute: "SUCROSE", concentration: 20 },
+        prism: { index: 1.5046, material: CUSTOM_MATERIAL, shape: "RIGHT_ANGLE", vertices: null },
+        sources: [{ ...createSource(SOURCE_TYPES.POINT, [24, 49.6]), numRays: 80, spread: 3 }],
+        temperature: REFERENCE_TEMPERATURE,
+        spectrum: "SODIUM",
+        polarization: POLARIZATIONS.UNPOLARIZED,
+        maxBounces: DEFAULT_MAX_BOUNCES,
+    };
+}
+
+// Steps upgrading a document from the version of their key to the next one
+const MIGRATIONS = {
+    // Before the documents the settings were separate localStorage entries, given here by their name without the
+    // "optics_simulator_" prefix. They came back as strings, and the light position was in pixels of the canvas
+    0: (legacy) => {
+        const defaults = defaultScene();
+        const number = (key, fallback) => (legacy[key] === undefined ? fallback : parseFloat(legacy[key]));
+        const lightPosition = legacy.light_pos === undefined ? [60, 124] : JSON.parse(legacy.light_pos);
+
+        return {
+            ...defaults,
+            sample: { ...defaults.sample, index: number("sample_ri", defaults.sample.index) },
+            prism: { ...defaults.prism, index: number("prism_ri", defaults.prism.index) },
+            sources: [
+                {
+                    ...defaults.sources[0],
+                    position: lightPosition.map((coordinate) => parseFloat(coordinate) / LEGACY_PX_PER_MM),
+                    numRays: number("rays_num", defaults.sources[0].numRays),
+                    spread: number("rays_angle", defaults.sources[0].spread),
+                },
+            ],
+        };
+    },
+};
+
+// Names of the settings saved before the documents, a document without a version must have at least one
+export const LEGACY_SETTINGS = ["rays_num", "rays_angle", "sample_ri", "prism_ri", "light_pos"];
+
+/**
+ * Upgrade a document of any version to the current one and make sure it describes a scene the simulator can show
+ * @param {Object} document Parsed document
+ * @returns {SceneDocument}
+ * @throws {SceneError} When the document is invalid or comes from a newer version of the simulator
+ */
+export function loadScene(document) {
+    if (typeof document !== "object" || document === null || Array.isArray(document)) {
+        throw new SceneError("The scene must be a JSON object");
+    }
+
+    let version = document.version === undefined ? 0 : document.version;
+    if (version === 0 && !LEGACY_SETTINGS.some((key) => document[key] !== undefined)) {
+        throw new SceneError("This is not a scene of the refractometer simulator: it has no version and no known settings");
+    }
+    if (!Number.isInteger(version) || version < 0) {
+        throw new SceneError(`Invalid scene: unknown version ${JSON.stringify(document.version)}`);
+    }
+    if (version > SCENE_VERSION) {
+        throw new SceneError(`The scene was saved by a newer version of the simulator (scene version ${version}, this one reads up to ${SCENE_VERSION})`);
+    }
+
+    let scene = document;
+    try {
+        for (; version < SCENE_VERSION; version++) {
+            scene = MIGRATIONS[version](scene);
+        }
+    } catch (e) {
+        throw new SceneError(`The scene can't be upgraded from version ${version}: ${e.message}`);
+    }
+
+    const error = checkSchema(scene, SCENE_SCHEMA, "");
+    if (error) {
+        throw new SceneError(`Invalid scene: ${error}`);
+    }
+
+    // Checks across the fields, the same that the controls apply. The indices are compared at the reference temperature
+    if (scene.prism.vertices !== null && !isConvex(scene.prism.vertices)) {
+        throw new SceneError("Invalid scene: the prism vertices must make a convex polygon");
+    }
+    const solute = SOLUTES[scene.sample.solute];
+    if (scene.sample.concentration > maxConcentration(solute)) {
+        throw new SceneError(`Invalid scene: the ${solute.name.toLowerCase()} concentration must be at most ${maxConcentration(solute)} ${solute.unit}`);
+    }
+    const prismIndex = scene.prism.material === CUSTOM_MATERIAL ? scene.prism.index : PRISM_MATERIALS[scene.prism.material].nD;
+    const sampleIndex = scene.sample.concentrationMode
+        ? concentrationToIndex(solute, scene.sample.concentration)
+        : scene.sample.material === CUSTOM_MATERIAL
+        ? scene.sample.index
+        : SAMPLE_MATERIALS[scene.sample.material].nD;
+    if (sampleIndex >= prismIndex) {
+        throw new SceneError(
+            `Invalid scene: the sample (n = ${sampleIndex.toFixed(4)}) can't be measured with the prism (n = ${prismIndex.toFixed(4)}), its index must be lower`
+        );
+    }
+
+    return scene;
+}
+
+/**
+ * Read a scene from the text of a JSON file
+ * @param {string} text
+ * @returns {SceneDocument}
+ * @throws {SceneError}
+ */
+export function parseScene(text) {
+    let document;
+    try {
+        document = JSON.parse(text);
+    } catch (e) {
+        throw new SceneError("The scene file is not valid JSON");
+    }
+    return loadScene(document);
+}
+
+/**
+ * Encode a scene as the hash of a link, base64url of its JSON
+ * @param {SceneDocument} scene
+ * @returns {string} The hash, without the leading #
+ */
+export function encodeSceneHash(scene) {
+    let binary = "";
+    new TextEncoder().encode(JSON.stringify(scene)).forEach((byte) => (binary += String.fromCharCode(byte)));
+    return `${HASH_PARAMETER}=${btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}`;
+}
+
+/**
+ * Read the scene of a link hash
+ * @param {string} hash With or without the leading #
+ * @returns {?SceneDocument} The scene, null if the hash doesn't hold one
+ * @throws {SceneError}
+ */
+export function decodeSceneHash(hash) {
+    const encoded = new URLSearchParams(hash.replace(/^#/, "")).get(HASH_PARAMETER);
+    if (!encoded) {
+        return null;
+    }
+
+    let text;
+    try {
+        const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+        text = new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+    } catch (e) {
+        throw new SceneError("The scene link is damaged, it may have been cut when copied");
+    }
+    return parseScene(text);
+}
@@ -0,0 +1,93 @@
+/**
+ * @file Scene panel of a simulator instance: the scene saved to a file or opened from one, and the links to the scene,
+ * copied from the panel and followed when the page link changes
+ */
+
+import { downloadFile } from "./download";
+import { decodeSceneHash, encodeSceneHash, parseScene, SceneError } from "./scene";
+
+/**
+ * @typedef {Object} ScenePanelState What the scene panel reaches of the instance
+ * @property {boolean} sceneLink Whether the instance follows the page link and offers links to its scene
+ * @property {function(): Object} currentScene The scene as a document
+ * @property {function(Object)} sceneOpened Show a scene checked by loadScene in place of the current one
+ * @property {function(string)} showMessage Show why a scene can't be opened, an empty message clears it
+ */
+
+/**
+ * Wire the scene panel of an instance
+ * @param {function(string): HTMLElement} ref Element of the instance by its data-ref
+ * @param {ScenePanelState} state
+ * @returns {{destroy: function()}} What stops following the page link and drops the files still being read
+ */
+export function createScenePanel(ref, state) {
+    // The links open the scene on the page of the instance following them
+    const copySceneLinkButton = ref("copySceneLink");
+    copySceneLinkButton.addEventListener("click", copySceneLink);
+    copySceneLinkButton.hidden = !state.sceneLink;
+    ref("downloadScene").addEventListener("click", downloadScene);
+    ref("openScene").addEventListener("change", openScene);
+    if (state.sceneLink) {
+        window.addEventListener("hashchange", sceneLinkOpened);
+    }
+
+    let destroyed = false;
+
+    function sceneOpenFailed(e, what) {
+        if (!(e instanceof SceneError)) {
+            throw e;
+        }
+        state.showMessage(`${what} can't be opened. ${e.message}`);
+    }
+    function sceneLinkOpened() {
+        try {
+            const shared = decodeSceneHash(window.location.hash);
+            if (shared) {
+                history.replaceState(null, "", window.location.pathname + window.location.search);
+                state.sceneOpened(shared);
+            }
+        } catch (e) {
+            sceneOpenFailed(e, "The scene of the link");
+        }
+    }
+    function copySceneLink() {
+        const link = `${window.location.origin}${window.location.pathname}${window.location.search}#${encodeSceneHash(state.currentScene())}`;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(link).then(
+                () => state.showMessage(""),
+                () => window.prompt("Copy the link to the scene", link)
+            );
+        } else {
+            window.prompt("Copy the link to the scene", link);
+        }
+    }
+    function downloadScene() {
+        downloadFile("refractometer-scene.json", JSON.stringify(state.currentScene(), null, 4), "application/json");
+    }
+    function openScene(event) {
+        const file = event.target.files[0];
+        // Clear the input so the same file can be opened again
+        event.target.value = "";
+        if (!file) {
+            return;
+        }
+        file.text().then((text) => {
+            // The instance may have been destroyed while the file was read
+            if (destroyed) {
+                return;
+            }
+            try {
+                state.sceneOpened(parseScene(text));
+            } catch (e) {
+                sceneOpenFailed(e, `The file ${file.name}`);
+            }
+        });
+    }
+
+    function destroy() {
+        destroyed = true;
+        window.removeEventListener("hashchange", sceneLinkOpened);
+    }
+
+    return { destroy };
+}
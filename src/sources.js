@@ -0,0 +1,131 @@
+/**
+ * @file Light sources. Each source type turns its parameters into the set of rays it launches into the scene.
+ */
+
+import { MathVec } from "./math";
+
+export const SOURCE_TYPES = {
+    POINT: "point",
+    COLLIMATED: "collimated",
+    EXTENDED: "extended",
+};
+
+export const DISTRIBUTIONS = {
+    LAMBERTIAN: "lambertian",
+    RANDOM: "random",
+};
+
+/**
+ * @typedef {Object} LightSource
+ * @property {string} type One of SOURCE_TYPES
+ * @property {number[]} position Center of the source, in mm
+ * @property {?number} angle Direction of the central ray in degrees, clockwise from the x axis as y grows
+ * downwards. When null the source is aimed perpendicularly to the front face of the prism
+ * @property {number} numRays Number of rays launched
+ * @property {number} spread Angle between two adjacent rays of a point source, in degrees
+ * @property {number} width Width of a collimated beam or of an extended source, in mm
+ * @property {string} distribution One of DISTRIBUTIONS, how an extended source spreads its rays
+ * @property {number} seed Seed of the random directions of an extended source, so the rays stay put between redraws
+ */
+
+/**
+ * @typedef {Object} LaunchedRay
+ * @property {number[]} origin
+ * @property {number[]} direction Unit direction
+ * @property {number} launchAngle Angle from the central direction of the source, in radians
+ */
+
+/**
+ * Create a source with the default parameters of its type
+ * @param {string} type One of SOURCE_TYPES
+ * @param {number[]} position
+ * @returns {LightSource}
+ */
+export function createSource(type, position) {
+    return {
+        type,
+        position,
+        angle: null,
+        numRays: type === SOURCE_TYPES.POINT ? 80 : 40,
+        spread: 3,
+        width: 40,
+        distribution: DISTRIBUTIONS.LAMBERTIAN,
+        seed: Math.floor(Math.random() * 0xffffffff),
+    };
+}
+
+/**
+ * Small seedable pseudo random generator (mulberry32)
+ * @param {number} seed
+ * @returns {function(): number} Generator of numbers between 0 and 1
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Direction of the central ray of a source
+ * @param {LightSource} source
+ * @param {number[]} frontNormal Outward normal of the front face of the prism
+ * @returns {number[]} Unit direction
+ */
+export function centralDirection(source, frontNormal) {
+    if (source.angle === null || source.angle === undefined) {
+        return MathVec.scale(frontNormal, -1);
+    }
+    const angle = (Math.PI / 180) * source.angle;
+    return [Math.cos(angle), Math.sin(angle)];
+}
+
+/**
+ * Get the rays launched by a source
+ * @param {LightSource} source
+ * @param {number[]} frontNormal Outward normal of the front face of the prism
+ * @returns {LaunchedRay[]}
+ */
+export function emitRays(source, frontNormal) {
+    const central = centralDirection(source, frontNormal);
+    const across = [-central[1], central[0]];
+    const rays = [];
+
+    switch (source.type) {
+        case SOURCE_TYPES.COLLIMATED:
+            // Parallel rays evenly spaced across the beam
+            for (let i = 0; i < source.numRays; i++) {
+                const offset = source.numRays > 1 ? (i / (source.numRays - 1) - 0.5) * source.width : 0;
+                rays.push({ origin: MathVec.add(source.position, MathVec.scale(across, offset)), direction: central, launchAngle: 0 });
+            }
+            break;
+        case SOURCE_TYPES.EXTENDED: {
+            // Many points along the emitting surface, each sending a ray in a random direction towards the front
+            const random = seededRandom(source.seed);
+            for (let i = 0; i < source.numRays; i++) {
+                const offset = (random() - 0.5) * source.width;
+                // A lambertian emitter is brighter along the normal: sin θ is uniformly distributed
+                const launchAngle = source.distribution === DISTRIBUTIONS.LAMBERTIAN ? Math.asin(2 * random() - 1) : (random() - 0.5) * Math.PI;
+                rays.push({
+                    origin: MathVec.add(source.position, MathVec.scale(across, offset)),
+                    direction: MathVec.rotate2d(...central, launchAngle),
+                    launchAngle,
+                });
+            }
+            break;
+        }
+        default: {
+            // Point source, a fan of rays spaced by the spread angle
+            const spread = (Math.PI / 180) * source.spread;
+            for (let i = -Math.floor(source.numRays / 2); i < Math.ceil(source.numRays / 2); i++) {
+                rays.push({ origin: source.position, direction: MathVec.rotate2d(...central, i * spread), launchAngle: i * spread });
+            }
+        }
+    }
+
+    return rays;
+}
@@ -0,0 +1,46 @@
+/**
+ * @file Conversion of visible wavelengths to displayable colors
+ */
+
+/**
+ * Approximate the color of a monochromatic light, as a 0xRRGGBB number
+ * @param {number} wavelength Wavelength in nm, colors fade to black outside 380-780 nm
+ * @param {number} [brightness] Scale factor from 0 to 1
+ */
+export function wavelengthToColor(wavelength, brightness = 1) {
+    let r = 0,
+        g = 0,
+        b = 0;
+
+    if (wavelength >= 380 && wavelength < 440) {
+        r = (440 - wavelength) / 60;
+        b = 1;
+    } else if (wavelength >= 440 && wavelength < 490) {
+        g = (wavelength - 440) / 50;
+        b = 1;
+    } else if (wavelength >= 490 && wavelength < 510) {
+        g = 1;
+        b = (510 - wavelength) / 20;
+    } else if (wavelength >= 510 && wavelength < 580) {
+        r = (wavelength - 510) / 70;
+        g = 1;
+    } else if (wavelength >= 580 && wavelength < 645) {
+        r = 1;
+        g = (645 - wavelength) / 65;
+    } else if (wavelength >= 645 && wavelength <= 780) {
+        r = 1;
+    }
+
+    // The eye is less sensitive at the edges of the visible spectrum
+    let factor = 0;
+    if (wavelength >= 380 && wavelength < 420) {
+        factor = 0.3 + (0.7 * (wavelength - 380)) / 40;
+    } else if (wavelength >= 420 && wavelength <= 700) {
+        factor = 1;
+    } else if (wavelength > 700 && wavelength <= 780) {
+        factor = 0.3 + (0.7 * (780 - wavelength)) / 80;
+    }
+
+    const channel = (value) => Math.round(255 * value * factor * brightness);
+    return (channel(r) << 16) | (channel(g) << 8) | channel(b);
+}
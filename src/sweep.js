@@ -0,0 +1,131 @@
+/**
+ * @file Parameter sweeps: trace the same scene over a range of values of one parameter and measure what the
+ * refractometer would show at each step. It only uses the headless tracer, so it runs in Node too.
+ */
+
+import { measureSampleIndex, readDetector } from "./detector";
+import { FACES, faceByRole, prismFaces } from "./geometry";
+import { MathVec } from "./math";
+import { traceScene } from "./tracer";
+
+// Replace a source of the scene with the result of update
+const updateSource = (scene, sourceIndex, update) => ({
+    ...scene,
+    sources: scene.sources.map((source, i) => (i === sourceIndex ? update(source) : source)),
+});
+
+/**
+ * @typedef {Object} SweepParameter
+ * @property {string} name Display name
+ * @property {string} unit Unit of the values, "length" for scene lengths
+ * @property {function(import("./tracer").SceneDescription, number, number): import("./tracer").SceneDescription} apply
+ * Scene with the parameter set to the value, for the source of the given index when it's a source parameter
+ */
+
+/** @type {Object.<string, SweepParameter>} */
+export const SWEEP_PARAMETERS = {
+    N_SAMPLE: { name: "Sample index", unit: "", apply: (scene, value) => ({ ...scene, nSample: value }) },
+    N_PRISM: { name: "Prism index", unit: "", apply: (scene, value) => ({ ...scene, nPrism: value }) },
+    LIGHT_X: {
+        name: "Light x",
+        unit: "length",
+        apply: (scene, value, sourceIndex) => updateSource(scene, sourceIndex, (source) => ({ ...source, position: [value, source.position[1]] })),
+    },
+    LIGHT_Y: {
+        name: "Light y",
+        unit: "length",
+        apply: (scene, value, sourceIndex) => updateSource(scene, sourceIndex, (source) => ({ ...source, position: [source.position[0], value] })),
+    },
+    SPREAD: {
+        name: "Rays spread",
+        unit: "°",
+        apply: (scene, value, sourceIndex) => updateSource(scene, sourceIndex, (source) => ({ ...source, spread: value })),
+    },
+};
+
+/**
+ * @typedef {Object} SweepMetric
+ * @property {string} name Display name
+ * @property {string} unit
+ * @property {function(Object): ?number} measure Value of the metric from the trace, the detector reading, the faces
+ * of the prism and the swept scene, null when it can't be measured
+ */
+
+/** @type {Object.<string, SweepMetric>} */
+export const SWEEP_METRICS = {
+    EXIT_ANGLE: {
+        name: "Shadow line exit angle",
+        unit: "°",
+        // Angle from the normal of the back face of the rays leaving it at the light/dark boundary
+        measure: ({ reading, faces }) =>
+            reading.edgeDirection === null ? null : (180 / Math.PI) * MathVec.angleBetween(faceByRole(faces, FACES.BACK).normal, reading.edgeDirection),
+    },
+    EDGE_POSITION: {
+        name: "Shadow line position",
+        unit: "% of the detector",
+        measure: ({ reading }) => (reading.edgePosition === null ? null : reading.edgePosition * 100),
+    },
+    MEASURED_INDEX: {
+        name: "Measured sample index",
+        unit: "",
+        measure: ({ reading, scene }) =>
+            reading.edgeDirection === null ? null : measureSampleIndex(scene.prism, scene.nPrism, reading.edgeDirection, scene.nAir),
+    },
+    TIR_FRACTION: {
+        name: "Rays in TIR",
+        unit: "% of the rays reaching the top face",
+        measure: ({ trace }) => {
+            const reachingTop = trace.rays.filter((ray) => ray.hits.some((hit) => hit.face === FACES.TOP));
+            return reachingTop.length === 0 ? null : (100 * reachingTop.filter((ray) => ray.totalInternalReflection).length) / reachingTop.length;
+        },
+    },
+};
+
+/**
+ * Label of a parameter or a metric with its unit, for the chart axes and the CSV headers
+ * @param {string} name
+ * @param {string} unit As in SWEEP_PARAMETERS and SWEEP_METRICS
+ * @returns {string}
+ */
+export function sweepLabel(name, unit) {
+    const displayUnit = unit === "length" ? "mm" : unit;
+    return displayUnit ? `${name} (${displayUnit})` : name;
+}
+
+/**
+ * Evenly spaced values from start to end, both included
+ * @param {number} start
+ * @param {number} end
+ * @param {number} steps Number of values, at least 2
+ * @returns {number[]}
+ */
+export function sweepValues(start, end, steps) {
+    return Array.from({ length: steps }, (_, i) => start + ((end - start) * i) / (steps - 1));
+}
+
+/**
+ * Trace the scene once per value of the parameter and measure every metric
+ * @param {import("./tracer").SceneDescription} scene Scene at the D line, with the indices of the materials
+ * @param {string} parameterKey Key of SWEEP_PARAMETERS
+ * @param {number[]} values Values of the parameter, in scene units
+ * @param {Object} options
+ * @param {import("./detector").Detector} options.detector
+ * @param {number} options.binsCount Bins of the detector
+ * @param {number} [options.sourceIndex] Source changed by the source parameters, defaults to the first one
+ * @returns {{value: number, metrics: Object.<string, ?number>}[]} One point per value, with the metrics by key
+ */
+export function runSweep(scene, parameterKey, values, { detector, binsCount, sourceIndex = 0 }) {
+    const parameter = SWEEP_PARAMETERS[parameterKey];
+    const faces = prismFaces(scene.prism);
+
+    return values.map((value) => {
+        const sweptScene = parameter.apply(scene, value, sourceIndex);
+        const trace = traceScene(sweptScene);
+        const reading = readDetector(trace, detector, binsCount);
+        const metrics = {};
+        Object.entries(SWEEP_METRICS).forEach(([key, metric]) => {
+            metrics[key] = metric.measure({ trace, reading, faces, scene: sweptScene });
+        });
+        return { value, metrics };
+    });
+}
@@ -0,0 +1,140 @@
+/**
+ * @file Sweep panel of a simulator instance: the parameter swept and its range, the quantities plotted, the charts
+ * and their PNG and CSV exports
+ */
+
+import * as PIXI from "pixi.js";
+import { downloadFile } from "./download";
+import { toCSV } from "./raydata";
+import { drawSweepCharts } from "./render";
+import { runSweep, SWEEP_METRICS, SWEEP_PARAMETERS, sweepLabel, sweepValues } from "./sweep";
+
+/**
+ * @typedef {Object} SweepPanelState What the sweep panel reaches of the instance
+ * @property {function(): Object} scene The scene as runSweep traces it, with the indices of the materials at the D
+ * line and at the temperature
+ * @property {function(): Object} measurement The detector and the source read at every step, as runSweep takes them
+ * @property {function(): {nPrism: number, nSample: number, position: number[]}} current Indices of the controls and
+ * position of the selected source, the suggested ranges go around them
+ * @property {function(string)} showMessage Show why a sweep can't run, an empty message clears it
+ */
+
+/**
+ * Wire the sweep panel of an instance
+ * @param {function(string): HTMLElement} ref Element of the instance by its data-ref
+ * @param {SweepPanelState} state
+ * @returns {{suggestRange: function(), destroy: function()}} What suggests a range around the current value of the
+ * parameter, and what stops the charts
+ */
+export function createSweepPanel(ref, state) {
+    const parameterEl = ref("sweepParameter");
+    parameterEl.addEventListener("change", suggestRange);
+    const fromEl = ref("sweepFrom");
+    const toEl = ref("sweepTo");
+    const unitEl = ref("sweepUnit");
+    const stepsEl = ref("sweepSteps");
+    const metricsEl = ref("sweepMetrics");
+    ref("runSweep").addEventListener("click", runSweepClicked);
+    const exportPngButton = ref("exportSweepPng");
+    exportPngButton.addEventListener("click", exportSweepPng);
+    const exportCsvButton = ref("exportSweepCsv");
+    exportCsvButton.addEventListener("click", exportSweepCsv);
+
+    Object.entries(SWEEP_PARAMETERS).forEach(([key, parameter]) => parameterEl.add(new Option(parameter.name, key)));
+    Object.entries(SWEEP_METRICS).forEach(([key, metric]) => {
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.value = key;
+        checkbox.checked = key === "EXIT_ANGLE" || key === "TIR_FRACTION";
+        label.append(checkbox, ` ${metric.name}`);
+        metricsEl.appendChild(label);
+    });
+
+    // Last sweep, kept for the exports. The charts get their canvas with the first one
+    let result = null;
+    let app = null;
+
+    // Suggest a range around the current value of the parameter
+    function suggestRange() {
+        const key = parameterEl.value;
+        const { nPrism, nSample, position } = state.current();
+        const ranges = {
+            N_SAMPLE: [1.3, Math.min(1.6, nPrism)],
+            N_PRISM: [Math.max(1.4, nSample + 0.01), 1.9],
+            LIGHT_X: [position[0] - 20, position[0] + 20],
+            LIGHT_Y: [position[1] - 20, position[1] + 20],
+            SPREAD: [1, 10],
+        };
+        const unit = SWEEP_PARAMETERS[key].unit;
+        const digits = unit === "" ? 4 : 1;
+        fromEl.value = ranges[key][0].toFixed(digits);
+        toEl.value = ranges[key][1].toFixed(digits);
+        unitEl.innerText = unit === "length" ? "mm" : unit;
+    }
+    function runSweepClicked() {
+        const key = parameterEl.value;
+        const parameter = SWEEP_PARAMETERS[key];
+        const from = parseFloat(fromEl.value);
+        const to = parseFloat(toEl.value);
+        const steps = parseInt(stepsEl.value);
+        const metrics = Array.from(metricsEl.querySelectorAll("input:checked")).map((checkbox) => checkbox.value);
+
+        if (!Number.isFinite(from) || !Number.isFinite(to) || from === to) {
+            state.showMessage("The sweep needs two different ends of the range");
+            return;
+        }
+        if (!(steps >= 2 && steps <= 500)) {
+            state.showMessage("The sweep needs between 2 and 500 steps");
+            return;
+        }
+        if (parameter.unit === "" && Math.min(from, to) < 1) {
+            state.showMessage("Refractive indices can't be lower than 1");
+            return;
+        }
+        if (key === "SPREAD" && (Math.min(from, to) <= 0 || Math.max(from, to) > 45)) {
+            state.showMessage("The rays spread must be between 0 and 45°");
+            return;
+        }
+        if (metrics.length === 0) {
+            state.showMessage("Pick at least one quantity to plot");
+            return;
+        }
+        state.showMessage("");
+
+        const points = runSweep(state.scene(), key, sweepValues(from, to, steps), state.measurement());
+        result = { key, metrics, points };
+
+        exportPngButton.disabled = false;
+        exportCsvButton.disabled = false;
+        if (app === null) {
+            app = new PIXI.Application({ antialias: true });
+            ref("sweep-container").appendChild(app.view);
+        }
+        drawSweepCharts(app, result);
+    }
+
+    // Columns of the sweep for the CSV export, the parameter and then every plotted quantity
+    function columns() {
+        const parameter = SWEEP_PARAMETERS[result.key];
+        return [
+            { key: "value", label: sweepLabel(parameter.name, parameter.unit) },
+            ...result.metrics.map((key) => ({ key, label: sweepLabel(SWEEP_METRICS[key].name, SWEEP_METRICS[key].unit) })),
+        ];
+    }
+    function exportSweepCsv() {
+        const rows = result.points.map((point) => ({ value: point.value, ...point.metrics }));
+        downloadFile("refractometer-sweep.csv", toCSV(columns(), rows), "text/csv");
+    }
+    function exportSweepPng() {
+        app.renderer.plugins.extract.canvas(app.stage).toBlob((blob) => downloadFile("refractometer-sweep.png", blob, "image/png"));
+    }
+
+    function destroy() {
+        if (app !== null) {
+            app.destroy(true, { children: true });
+        }
+    }
+
+    return { suggestRange, destroy };
+}
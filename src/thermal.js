@@ -0,0 +1,79 @@
+/**
+ * @file Temperature dependence of the refractive indices. Catalog indices are given at the reference temperature and
+ * every material shifts them with its own dn/dT model, either a constant coefficient or a table of measured indices.
+ * The shift is taken as the same at every wavelength.
+ */
+
+import { interpolate, REFERENCE_TEMPERATURE } from "./concentration";
+import { measureSampleIndex } from "./detector";
+import { boundaryExitAngle } from "./inverse";
+
+/**
+ * @typedef {function(number): number} ThermalModel Index shift from the reference temperature, as a function of the
+ * temperature in °C
+ */
+
+/**
+ * Constant thermal coefficient
+ * @param {number} dndT dn/dT in 1/°C
+ * @returns {ThermalModel}
+ */
+export function linearThermal(dndT) {
+    return (temperature) => dndT * (temperature - REFERENCE_TEMPERATURE);
+}
+
+/**
+ * Thermal model interpolated in measured indices, extrapolating from the end segments
+ * @param {number[][]} table [temperature in °C, index] pairs sorted by temperature
+ * @returns {ThermalModel}
+ */
+export function tabulatedThermal(table) {
+    const reference = interpolate(table, REFERENCE_TEMPERATURE);
+    return (temperature) => interpolate(table, temperature) - reference;
+}
+
+/**
+ * The material as it is at a temperature
+ * @param {import("./catalog").CatalogMaterial} material
+ * @param {number} temperature In °C
+ * @returns {import("./catalog").CatalogMaterial}
+ */
+export function atTemperature(material, temperature) {
+    const shift = material.thermal(temperature);
+    return { ...material, nD: material.nD + shift, index: (wavelength) => material.index(wavelength) + shift };
+}
+
+/**
+ * Readings of a refractometer calibrated at the reference temperature. The raw reading takes the prism at the
+ * reference temperature and gives the index of the sample as it is. Automatic temperature compensation (ATC) takes
+ * the prism at its actual temperature and brings the sample index back to the reference temperature.
+ * @param {number[][]} prism Prism vertices
+ * @param {import("./catalog").CatalogMaterial} prismMaterial Prism glass at the reference temperature
+ * @param {ThermalModel} sampleThermal Thermal model of the sample assumed by the compensation
+ * @param {number} temperature In °C
+ * @param {number[]} edgeDirection Direction of the rays at the shadow line, leaving the prism
+ * @param {number} [nAir]
+ * @returns {{raw: ?number, compensated: ?number}} Measured indices, null when the edge doesn't leave the prism
+ */
+export function temperatureReadings(prism, prismMaterial, sampleThermal, temperature, edgeDirection, nAir = 1) {
+    const raw = measureSampleIndex(prism, prismMaterial.nD, edgeDirection, nAir);
+    const actual = measureSampleIndex(prism, atTemperature(prismMaterial, temperature).nD, edgeDirection, nAir);
+    return { raw, compensated: actual === null ? null : actual - sampleThermal(temperature) };
+}
+
+/**
+ * Exit angles of the shadow line at the reference temperature and at the given one, from the critical angle at the
+ * D line. Unlike the detector, which only sees the traced rays, this follows changes finer than the ray spacing
+ * @param {number[][]} prism Prism vertices
+ * @param {import("./catalog").CatalogMaterial} prismMaterial At the reference temperature
+ * @param {import("./catalog").CatalogMaterial} sampleMaterial At the reference temperature
+ * @param {number} temperature In °C
+ * @param {number} [nAir]
+ * @returns {?{reference: number, actual: number}} Signed angles from the normal of the back face, in radians, null
+ * when there is no boundary at either temperature
+ */
+export function shadowLineAngles(prism, prismMaterial, sampleMaterial, temperature, nAir = 1) {
+    const reference = boundaryExitAngle(prism, prismMaterial.nD, sampleMaterial.nD, nAir);
+    const actual = boundaryExitAngle(prism, atTemperature(prismMaterial, temperature).nD, atTemperature(sampleMaterial, temperature).nD, nAir);
+    return reference === null || actual === null ? null : { reference, actual };
+}
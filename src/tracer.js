@@ -0,0 +1,229 @@
+/**
+ * @file Headless ray tracing core. Given a scene description it computes the path of every ray going through
+ * the prism and returns it as plain data, without touching the DOM or the renderer, so it can run in Node too.
+ */
+
+import { fresnelReflectance, POLARIZATIONS } from "./fresnel";
+import { containsPoint, FACES, faceByRole, prismFaces } from "./geometry";
+import { MathVec } from "./math";
+import { emitRays } from "./sources";
+
+export const DEFAULT_MAX_BOUNCES = 10;
+
+/**
+ * @typedef {Object} SceneDescription
+ * @property {number[][]} prism Vertices of the prism, a convex polygon
+ * @property {number} nPrism Refractive index of the prism
+ * @property {number} nSample Refractive index of the sample sitting on the top face
+ * @property {number} [nAir] Refractive index of the surrounding medium, defaults to 1
+ * @property {import("./sources").LightSource[]} sources Light sources
+ * @property {number[][]} bounds Top-left and bottom-right corners of the area where the rays are stopped
+ * @property {number} [maxBounces] Maximum number of interactions with the prism faces, defaults to DEFAULT_MAX_BOUNCES
+ * @property {string} [polarization] One of POLARIZATIONS, defaults to unpolarized light
+ */
+
+/**
+ * @typedef {Object} RaySegment
+ * @property {number[]} from Starting point
+ * @property {number[]} to Ending point
+ * @property {?string} face The face hit at the end of the segment, null if the segment leaves the prism
+ * @property {number} intensity Fraction of the emitted power carried along the segment
+ * @property {number} index Refractive index of the medium the segment goes through
+ */
+
+/**
+ * @typedef {Object} RayHit
+ * @property {string} face The face being hit
+ * @property {number[]} point The hit point
+ * @property {number[]} normal Outward unit normal of the face
+ * @property {number} incidenceAngle Signed angle between the face normal and the incoming ray, in radians
+ * @property {number} outgoingAngle Signed angle between the face normal and the refracted (or reflected) ray, in radians
+ * @property {boolean} reflected Whether the ray has been reflected by the face rather than refracted through it
+ * @property {number} reflectance Fraction of the incoming power reflected by the face
+ * @property {?{direction: number[], intensity: number}} transmitted Part of the ray refracted into the sample at the
+ * top face, which isn't followed any further. Null when the ray is totally reflected and at the other faces
+ */
+
+/**
+ * @typedef {Object} RayPath
+ * @property {number} source Index of the source that launched the ray
+ * @property {number} launchAngle Angle of the ray relative to the central direction of its source, in radians
+ * @property {RaySegment[]} segments
+ * @property {RayHit[]} hits
+ * @property {boolean} totalInternalReflection Whether the ray is totally reflected the first time it hits the top face
+ * @property {number} reflectance Fraction of the power reflected the first time the ray hits the top face
+ * @property {boolean} complete Whether the ray went through the prism and left it, within the bounce limit
+ */
+
+/**
+ * @typedef {Object} TraceResult
+ * @property {number} criticalAngle Critical angle at the prism/sample interface, in radians
+ * @property {RayPath[]} rays
+ */
+
+/**
+ * Let a ray interact with a surface, refracting through it when possible and reflecting otherwise
+ * @param {number[]} direction Unit direction of the incoming ray
+ * @param {number[]} normal Unit normal of the surface, facing either side
+ * @param {number} n1 Refractive index of the medium the ray comes from
+ * @param {number} n2 Refractive index of the medium beyond the surface
+ * @returns {{direction: number[], incidenceAngle: number, outgoingAngle: number, reflected: boolean}}
+ */
+export function interact(direction, normal, n1, n2) {
+    // Orient the normal along the propagation so angles are measured the same way on every face
+    const forward = MathVec.dot(direction, normal) < 0 ? MathVec.scale(normal, -1) : normal;
+    const incidenceAngle = MathVec.angleBetween(forward, direction);
+    const refracted = MathVec.refract(direction, forward, n1, n2);
+
+    if (refracted) {
+        return { direction: refracted, incidenceAngle, outgoingAngle: MathVec.angleBetween(forward, refracted), reflected: false };
+    }
+
+    const reflected = MathVec.reflect(direction, forward);
+    return { direction: reflected, incidenceAngle, outgoingAngle: MathVec.angleBetween(MathVec.scale(forward, -1), reflected), reflected: true };
+}
+
+/**
+ * Trace the rays of the given scene through the prism
+ * @param {SceneDescription} scene
+ * @returns {TraceResult}
+ */
+export function traceScene(scene) {
+    const { prism, nPrism, nSample, sources } = scene;
+    const criticalAngle = Math.asin(nSample / nPrism);
+    const faces = prismFaces(prism);
+    const frontFace = faceByRole(faces, FACES.FRONT);
+
+    const rays = [];
+    sources.forEach((source, sourceIndex) => {
+        emitRays(source, frontFace.normal).forEach((launched) => {
+            rays.push({ source: sourceIndex, launchAngle: launched.launchAngle, ...traceRay(scene, faces, launched.origin, launched.direction) });
+        });
+    });
+
+    return { criticalAngle, rays };
+}
+
+/**
+ * Follow a single ray from face to face until it leaves the prism for good or runs out of bounces
+ * @param {SceneDescription} scene
+ * @param {import("./geometry").PrismFace[]} faces Faces of the prism of the scene
+ * @param {number[]} origin
+ * @param {number[]} direction Unit direction
+ * @returns {{segments: RaySegment[], hits: RayHit[], totalInternalReflection: boolean, reflectance: number, complete: boolean}}
+ */
+function traceRay(scene, faces, origin, direction) {
+    const { prism, nPrism, nSample, nAir = 1, bounds, maxBounces = DEFAULT_MAX_BOUNCES, polarization = POLARIZATIONS.UNPOLARIZED } = scene;
+    const ray = {
+        segments: [],
+        hits: [],
+        totalInternalReflection: false,
+        reflectance: 0,
+        complete: false,
+    };
+
+    let position = origin;
+    let intensity = 1;
+    let inside = containsPoint(prism, origin);
+    let lastFace = null;
+    let hitTop = false;
+
+    while (ray.hits.length < maxBounces) {
+        const hit = nearestFaceHit(faces, position, direction, lastFace);
+
+        if (!hit) {
+            const t = MathVec.rayBoxExit(position, direction, ...bounds);
+            ray.segments.push({ from: position, to: MathVec.add(position, MathVec.scale(direction, t)), face: null, intensity, index: inside ? nPrism : nAir });
+            ray.complete = ray.hits.length > 0;
+            break;
+        }
+
+        const { face, point } = hit;
+        // Only the top face is in contact with the sample, the rest of the prism is surrounded by air
+        const nOutside = face.role === FACES.TOP ? nSample : nAir;
+        const [n1, n2] = inside ? [nPrism, nOutside] : [nOutside, nPrism];
+        const result = interact(direction, face.normal, n1, n2);
+        const reflectance = fresnelReflectance(n1, n2, result.incidenceAngle)[polarization];
+
+        ray.segments.push({ from: position, to: point, face: face.role, intensity, index: inside ? nPrism : nAir });
+        ray.hits.push({
+            face: face.role,
+            point,
+            normal: face.normal,
+            incidenceAngle: result.incidenceAngle,
+            outgoingAngle: result.outgoingAngle,
+            reflected: result.reflected,
+            reflectance,
+            transmitted: null,
+        });
+
+        position = point;
+        lastFace = face;
+
+        if (inside && face.role === FACES.TOP) {
+            // At this point rays are partially refracted and partially reflected until the critical angle is
+            // reached where the rays are totally reflected. We only follow the reflections, carrying the
+            // reflected fraction of the power given by the Fresnel equations, the refracted rest is recorded on the hit
+            if (!hitTop) {
+                ray.totalInternalReflection = result.reflected;
+                ray.reflectance = reflectance;
+                hitTop = true;
+            }
+            if (!result.reflected) {
+                ray.hits[ray.hits.length - 1].transmitted = { direction: result.direction, intensity: intensity * (1 - reflectance) };
+            }
+            intensity *= reflectance;
+            direction = result.reflected ? result.direction : MathVec.reflect(direction, face.normal);
+        } else {
+            // The other faces are refracted through, losing the reflected fraction of the power
+            direction = result.direction;
+            if (!result.reflected) {
+                intensity *= 1 - reflectance;
+                inside = !inside;
+            }
+        }
+    }
+
+    return ray;
+}
+
+/**
+ * Find the first face hit by a ray
+ * @param {import("./geometry").PrismFace[]} faces
+ * @param {number[]} origin
+ * @param {number[]} direction
+ * @param {?import("./geometry").PrismFace} skip Face the ray starts from, which can't be hit again by a straight
+ * ray in a convex prism
+ * @returns {?{face: import("./geometry").PrismFace, point: number[]}}
+ */
+function nearestFaceHit(faces, origin, direction, skip) {
+    let nearest = null;
+
+    faces.forEach((face) => {
+        if (face === skip) {
+            return;
+        }
+        const hit = MathVec.raySegmentIntersection(origin, direction, face.start, face.end);
+        if (hit && (!nearest || hit.t < nearest.t)) {
+            nearest = { face, point: hit.point, t: hit.t };
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * Trace the scene once per wavelength, with the indices given by the dispersion of the materials. The nPrism and
+ * nSample values of the scene are ignored.
+ * @param {SceneDescription} scene
+ * @param {import("./materials").Material} prismMaterial
+ * @param {import("./materials").Material} sampleMaterial
+ * @param {number[]} wavelengths Wavelengths in nm
+ * @returns {(TraceResult & {wavelength: number})[]}
+ */
+export function traceSpectrum(scene, prismMaterial, sampleMaterial, wavelengths) {
+    return wavelengths.map((wavelength) => ({
+        wavelength,
+        ...traceScene({ ...scene, nPrism: prismMaterial.index(wavelength), nSample: sampleMaterial.index(wavelength) }),
+    }));
+}
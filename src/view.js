@@ -0,0 +1,84 @@
+/**
+ * @file View transform between the model, in millimeters, and the screen, in CSS pixels. The view is a uniform
+ * scale followed by a translation, so directions and angles look the same on screen as in the model.
+ */
+
+// Zoom range, relative to the scale that fits the scene in the canvas
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 500;
+
+/**
+ * @typedef {Object} View
+ * @property {number} scale Screen pixels per millimeter
+ * @property {number[]} offset Screen position of the model origin
+ * @property {number} fitScale Scale fitting the whole scene in the canvas, the reference of the zoom limits
+ */
+
+/**
+ * @param {View} view
+ * @param {number[]} point Model point
+ * @returns {number[]} Screen point
+ */
+export function toScreen(view, point) {
+    return [point[0] * view.scale + view.offset[0], point[1] * view.scale + view.offset[1]];
+}
+
+/**
+ * @param {View} view
+ * @param {number[]} point Screen point
+ * @returns {number[]} Model point
+ */
+export function toModel(view, point) {
+    return [(point[0] - view.offset[0]) / view.scale, (point[1] - view.offset[1]) / view.scale];
+}
+
+/**
+ * Build the view showing the whole box, centered in the canvas
+ * @param {number[][]} box Top-left and bottom-right model corners
+ * @param {number} width Canvas width
+ * @param {number} height Canvas height
+ * @returns {View}
+ */
+export function fitView(box, width, height) {
+    const [[minX, minY], [maxX, maxY]] = box;
+    const scale = Math.min(width / (maxX - minX), height / (maxY - minY));
+    return {
+        scale,
+        offset: [width / 2 - ((minX + maxX) / 2) * scale, height / 2 - ((minY + maxY) / 2) * scale],
+        fitScale: scale,
+    };
+}
+
+/**
+ * Zoom by a factor keeping the model point under the given screen point still, within the zoom limits
+ * @param {View} view
+ * @param {number} factor Greater than 1 to zoom in
+ * @param {number[]} center Screen point
+ * @returns {View}
+ */
+export function zoomView(view, factor, center) {
+    const scale = Math.max(view.fitScale * MIN_ZOOM, Math.min(view.fitScale * MAX_ZOOM, view.scale * factor));
+    const anchor = toModel(view, center);
+    return { ...view, scale, offset: [center[0] - anchor[0] * scale, center[1] - anchor[1] * scale] };
+}
+
+/**
+ * Move the view by a screen displacement
+ * @param {View} view
+ * @param {number[]} delta
+ * @returns {View}
+ */
+export function panView(view, delta) {
+    return { ...view, offset: [view.offset[0] + delta[0], view.offset[1] + delta[1]] };
+}
+
+/**
+ * Model box visible in the canvas
+ * @param {View} view
+ * @param {number} width Canvas width
+ * @param {number} height Canvas height
+ * @returns {number[][]} Top-left and bottom-right model corners
+ */
+export function visibleBox(view, width, height) {
+    return [toModel(view, [0, 0]), toModel(view, [width, height])];
+}
@@ -0,0 +1,174 @@
+// postMessage bridge between a host page and the simulator in its iframe, with stubbed windows
+const assert = require("assert/strict");
+const { beforeEach, describe, it } = require("node:test");
+
+const { connectRefractometer, exposeRefractometer } = require("../src/bridge");
+
+const HOST = "https://host.example";
+const FRAME = "https://simulator.example";
+
+// Window keeping what is posted to it, and dispatching messages to its listeners as the browser does
+class FakeWindow {
+    constructor() {
+        this.listeners = [];
+        this.posted = [];
+    }
+    addEventListener(type, listener) {
+        this.listeners.push(listener);
+    }
+    removeEventListener(type, listener) {
+        this.listeners = this.listeners.filter((l) => l !== listener);
+    }
+    postMessage(data, targetOrigin) {
+        this.posted.push({ data, targetOrigin });
+    }
+    receive(data, origin, source) {
+        this.listeners.forEach((listener) => listener({ data, origin, source }));
+    }
+}
+
+// Instance with a single parameter and a change event
+function fakeInstance() {
+    const listeners = [];
+    return {
+        values: { sampleIndex: 1.33 },
+        listeners,
+        get(name) {
+            return this.values[name];
+        },
+        set(values) {
+            Object.assign(this.values, values);
+            listeners.forEach((listener) => listener(this.values));
+        },
+        on(event, listener) {
+            if (event !== "change") {
+                throw new RangeError(`Unknown event "${event}"`);
+            }
+            listeners.push(listener);
+            return () => listeners.splice(listeners.indexOf(listener), 1);
+        },
+    };
+}
+
+beforeEach(() => {
+    global.window = new FakeWindow();
+    window.parent = new FakeWindow();
+});
+
+describe("exposed instance", () => {
+    it("answers to no page without origins", () => {
+        const instance = fakeInstance();
+        exposeRefractometer(instance);
+        const host = new FakeWindow();
+        window.receive({ type: "refractometer:call", id: 1, method: "set", args: [{ sampleIndex: 1.4 }] }, HOST, host);
+
+        assert.deepEqual(window.parent.posted, []);
+        assert.deepEqual(host.posted, []);
+        assert.equal(instance.values.sampleIndex, 1.33);
+    });
+
+    it("refuses to answer to any origin", () => {
+        assert.throws(() => exposeRefractometer(fakeInstance(), { origins: ["*"] }), RangeError);
+        assert.deepEqual(window.listeners, []);
+    });
+
+    it("tells its parent it is ready, only at the allowed origins", () => {
+        exposeRefractometer(fakeInstance(), { origins: [HOST, "https://other.example"] });
+        assert.deepEqual(window.parent.posted, [
+            { data: { type: "refractometer:ready" }, targetOrigin: HOST },
+            { data: { type: "refractometer:ready" }, targetOrigin: "https://other.example" },
+        ]);
+    });
+
+    it("calls the methods for the allowed origins and ignores the others", () => {
+        const instance = fakeInstance();
+        exposeRefractometer(instance, { origins: [HOST] });
+        const host = new FakeWindow();
+
+        window.receive({ type: "refractometer:call", id: 1, method: "set", args: [{ sampleIndex: 1.4 }] }, "https://evil.example", host);
+        assert.equal(instance.values.sampleIndex, 1.33);
+        assert.deepEqual(host.posted, []);
+
+        window.receive({ type: "refractometer:call", id: 2, method: "set", args: [{ sampleIndex: 1.4 }] }, HOST, host);
+        window.receive({ type: "refractometer:call", id: 3, method: "get", args: ["sampleIndex"] }, HOST, host);
+        assert.deepEqual(host.posted, [
+            { data: { type: "refractometer:result", id: 2, value: null }, targetOrigin: HOST },
+            { data: { type: "refractometer:result", id: 3, value: 1.4 }, targetOrigin: HOST },
+        ]);
+    });
+
+    it("answers with the error of a call", () => {
+        exposeRefractometer(fakeInstance(), { origins: [HOST] });
+        const host = new FakeWindow();
+        window.receive({ type: "refractometer:call", id: 1, method: "destroy" }, HOST, host);
+        assert.deepEqual(host.posted[0].data, {
+            type: "refractometer:result",
+            id: 1,
+            error: { name: "RangeError", message: 'Unknown method "destroy"' },
+        });
+    });
+
+    it("forwards the events until stopped", () => {
+        const instance = fakeInstance();
+        const stop = exposeRefractometer(instance, { origins: [HOST] });
+        const host = new FakeWindow();
+        window.receive({ type: "refractometer:subscribe", event: "change" }, HOST, host);
+        window.receive({ type: "refractometer:subscribe", event: "resize" }, HOST, host);
+        instance.set({ sampleIndex: 1.5 });
+
+        assert.deepEqual(
+            host.posted.map((message) => message.data),
+            [
+                { type: "refractometer:error", error: { name: "RangeError", message: 'Unknown event "resize"' } },
+                { type: "refractometer:event", event: "change", data: { sampleIndex: 1.5 } },
+            ]
+        );
+
+        stop();
+        assert.deepEqual(window.listeners, []);
+        assert.deepEqual(instance.listeners, []);
+    });
+});
+
+describe("host connection", () => {
+    it("needs the origin of the frame", () => {
+        const frame = new FakeWindow();
+        assert.throws(() => connectRefractometer(frame), RangeError);
+        assert.throws(() => connectRefractometer(frame, "*"), RangeError);
+    });
+
+    it("sends the calls to the origin of the frame and resolves with their result", async () => {
+        const frame = new FakeWindow();
+        const remote = connectRefractometer(frame, FRAME);
+        const result = remote.get("sampleIndex");
+        assert.deepEqual(frame.posted, [{ data: { type: "refractometer:call", id: 1, method: "get", args: ["sampleIndex"] }, targetOrigin: FRAME }]);
+
+        // Neither another frame nor another origin can answer
+        window.receive({ type: "refractometer:result", id: 1, value: 2 }, FRAME, new FakeWindow());
+        window.receive({ type: "refractometer:result", id: 1, value: 3 }, "https://evil.example", frame);
+        window.receive({ type: "refractometer:result", id: 1, value: 1.33 }, FRAME, frame);
+        assert.equal(await result, 1.33);
+    });
+
+    it("rejects with the error of the instance", async () => {
+        const frame = new FakeWindow();
+        const remote = connectRefractometer(frame, FRAME);
+        const result = remote.set({ sampleIndex: -1 });
+        window.receive({ type: "refractometer:result", id: 1, error: { name: "RangeError", message: "sampleIndex must be at least 1" } }, FRAME, frame);
+        await assert.rejects(result, { name: "RangeError", message: "sampleIndex must be at least 1" });
+    });
+
+    it("subscribes to the events and stops listening once disconnected", () => {
+        const frame = new FakeWindow();
+        const remote = connectRefractometer(frame, FRAME);
+        const received = [];
+        remote.on("change", (parameters) => received.push(parameters));
+        assert.deepEqual(frame.posted[0], { data: { type: "refractometer:subscribe", event: "change" }, targetOrigin: FRAME });
+
+        window.receive({ type: "refractometer:event", event: "change", data: { sampleIndex: 1.4 } }, FRAME, frame);
+        remote.disconnect();
+        window.receive({ type: "refractometer:event", event: "change", data: { sampleIndex: 1.5 } }, FRAME, frame);
+        assert.deepEqual(received, [{ sampleIndex: 1.4 }]);
+        assert.deepEqual(window.listeners, []);
+    });
+});
@@ -0,0 +1,107 @@
+// Persistence of the scene: the autosave in a stubbed localStorage, the migration of the older settings and links
+const assert = require("assert/strict");
+const { beforeEach, describe, it } = require("node:test");
+
+const { clearAutosave, loadAutosave, saveAutosave } = require("../src/config");
+const { decodeSceneHash, defaultScene, encodeSceneHash, loadScene, SCENE_VERSION, SceneError } = require("../src/scene");
+
+// Same interface as the browser storage, which only ever holds strings
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+beforeEach(() => {
+    global.localStorage = new MemoryStorage();
+});
+
+describe("autosave", () => {
+    it("has nothing to load on the first start", () => {
+        assert.equal(loadAutosave(), null);
+    });
+
+    it("loads back the saved scene", () => {
+        const scene = { ...defaultScene(), temperature: 25.5, maxBounces: 4 };
+        scene.sample = { ...scene.sample, index: 1.3412 };
+        saveAutosave(scene);
+
+        const loaded = loadScene(loadAutosave());
+        assert.deepEqual(loaded, scene);
+        assert.equal(typeof loaded.sample.index, "number");
+    });
+
+    it("ignores a damaged save", () => {
+        localStorage.setItem("optics_simulator_scene", "{ not json");
+        assert.equal(loadAutosave(), null);
+    });
+
+    it("forgets the scene when cleared", () => {
+        saveAutosave(defaultScene());
+        clearAutosave();
+        assert.equal(loadAutosave(), null);
+    });
+});
+
+describe("settings of the older versions", () => {
+    const LEGACY = {
+        sample_ri: "1.35",
+        prism_ri: "1.62",
+        rays_num: "50",
+        rays_angle: "2.5",
+        light_pos: "[60,124]",
+    };
+
+    beforeEach(() => {
+        Object.entries(LEGACY).forEach(([name, value]) => localStorage.setItem(`optics_simulator_${name}`, value));
+    });
+
+    it("come back as the strings the storage holds", () => {
+        const legacy = loadAutosave();
+        assert.equal(legacy.sample_ri, "1.35");
+        assert.equal(legacy.rays_num, "50");
+    });
+
+    it("are migrated to a scene of the current version, with numbers and lengths in mm", () => {
+        const scene = loadScene(loadAutosave());
+        assert.equal(scene.version, SCENE_VERSION);
+        assert.equal(scene.sample.index, 1.35);
+        assert.equal(scene.prism.index, 1.62);
+        assert.equal(scene.sources[0].numRays, 50);
+        assert.equal(scene.sources[0].spread, 2.5);
+        assert.deepEqual(scene.sources[0].position, [24, 49.6]);
+        assert.equal(scene.temperature, defaultScene().temperature);
+    });
+
+    it("are replaced by the scene once it is saved", () => {
+        saveAutosave(loadScene(loadAutosave()));
+        Object.keys(LEGACY).forEach((name) => assert.equal(localStorage.getItem(`optics_simulator_${name}`), null, name));
+        assert.equal(loadAutosave().version, SCENE_VERSION);
+    });
+});
+
+describe("scene documents", () => {
+    it("refuse a sample the prism can't measure", () => {
+        const scene = defaultScene();
+        assert.throws(() => loadScene({ ...scene, sample: { ...scene.sample, index: 1.6 } }), SceneError);
+    });
+
+    it("refuse documents of a newer version", () => {
+        assert.throws(() => loadScene({ ...defaultScene(), version: SCENE_VERSION + 1 }), /newer version/);
+    });
+
+    it("go through a shared link unchanged", () => {
+        const scene = { ...defaultScene(), temperature: 27 };
+        assert.deepEqual(decodeSceneHash(`#${encodeSceneHash(scene)}`), scene);
+        assert.equal(decodeSceneHash("#other=1"), null);
+    });
+});
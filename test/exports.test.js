@@ -0,0 +1,170 @@
+// What the simulator exports: the parameter sweeps, the ray table as CSV and the figure as SVG and PDF
+const assert = require("assert/strict");
+const { describe, it } = require("node:test");
+
+const { detectorFromPrism } = require("../src/detector");
+const { buildFigure, figureToPDF, figureToSVG } = require("../src/figure");
+const { PRISM_SHAPES, trianglePrism } = require("../src/geometry");
+const { rayColumns, rayRows, sortRows, toCSV } = require("../src/raydata");
+const { DISTRIBUTIONS, SOURCE_TYPES } = require("../src/sources");
+const { runSweep, sweepValues } = require("../src/sweep");
+const { traceScene } = require("../src/tracer");
+
+const PRISM = trianglePrism([160 - 75 * Math.SQRT2, 8], 150 * Math.SQRT2, PRISM_SHAPES.RIGHT_ANGLE.frontAngle, PRISM_SHAPES.RIGHT_ANGLE.backAngle);
+
+// The right angle reference scene, its source aimed along the boundary ray of the 1.3 sample
+const SCENE = {
+    prism: PRISM,
+    nPrism: 1.5046,
+    nSample: 1.3,
+    nAir: 1,
+    sources: [
+        { type: SOURCE_TYPES.POINT, position: [56, 62.3], angle: -22.4, numRays: 40, spread: 0.25, width: 40, distribution: DISTRIBUTIONS.LAMBERTIAN, seed: 12345 },
+    ],
+    bounds: [
+        [-300, -300],
+        [700, 700],
+    ],
+};
+const DETECTOR = detectorFromPrism(PRISM, 60);
+
+describe("sweep", () => {
+    it("spreads the values evenly from the start to the end", () => {
+        assert.deepEqual(sweepValues(1, 2, 5), [1, 1.25, 1.5, 1.75, 2]);
+        assert.deepEqual(sweepValues(3, 1, 2), [3, 1]);
+    });
+
+    it("measures every swept sample index on the detector", () => {
+        const values = sweepValues(1.29, 1.31, 5);
+        const points = runSweep(SCENE, "N_SAMPLE", values, { detector: DETECTOR, binsCount: 200 });
+
+        assert.deepEqual(points.map((point) => point.value), values);
+        points.forEach(({ value, metrics }) => {
+            assert.ok(Math.abs(metrics.MEASURED_INDEX - value) <= 1.5e-3, `sample ${value}: measured ${metrics.MEASURED_INDEX}`);
+            assert.ok(metrics.EDGE_POSITION > 0 && metrics.EDGE_POSITION < 100, `sample ${value}: edge at ${metrics.EDGE_POSITION}%`);
+        });
+        // A denser sample has a wider critical angle, so fewer rays are totally reflected
+        points.slice(1).forEach((point, i) => assert.ok(point.metrics.TIR_FRACTION <= points[i].metrics.TIR_FRACTION, `sample ${point.value}`));
+    });
+
+    it("only moves the source it sweeps", () => {
+        const scene = { ...SCENE, sources: [...SCENE.sources, { ...SCENE.sources[0], position: [0, 0] }] };
+        const [point] = runSweep(scene, "LIGHT_X", [10], { detector: DETECTOR, binsCount: 200, sourceIndex: 1 });
+        assert.equal(point.value, 10);
+        assert.ok(Math.abs(point.metrics.MEASURED_INDEX - 1.3) <= 1.5e-3, `measured ${point.metrics.MEASURED_INDEX}`);
+    });
+});
+
+describe("ray table", () => {
+    const trace = { ...traceScene(SCENE), wavelength: 589.3 };
+
+    it("has one row per ray with the first hit of every face", () => {
+        const rows = rayRows([trace], 0.1);
+        assert.equal(rows.length, trace.rays.length);
+        rows.forEach((row, i) => {
+            const ray = trace.rays[i];
+            const front = ray.hits.find((hit) => hit.face === "front");
+            assert.equal(row.ray, i + 1);
+            assert.equal(row.source, 1);
+            assert.equal(row.frontX, front.point[0] * 0.1);
+            assert.equal(row.path, ray.hits.map((hit) => hit.face).join(" > "));
+            assert.equal(row.topOutgoing === null, ray.totalInternalReflection);
+        });
+    });
+
+    it("writes the header, 6 decimals, yes/no and empty cells in the CSV", () => {
+        const columns = rayColumns("mm");
+        const rows = rayRows([trace]);
+        const lines = toCSV(columns, rows).split("\n");
+
+        assert.equal(lines[0], columns.map((column) => column.label).join(","));
+        assert.equal(lines.length, rows.length + 2);
+        assert.equal(lines[lines.length - 1], "");
+        lines.slice(1, -1).forEach((line, i) => {
+            const cells = line.split(",");
+            assert.equal(cells.length, columns.length);
+            const cell = (key) => cells[columns.findIndex((column) => column.key === key)];
+            assert.equal(cell("launchAngle"), String(+rows[i].launchAngle.toFixed(6)));
+            assert.equal(cell("totalInternalReflection"), rows[i].totalInternalReflection ? "yes" : "no");
+            assert.equal(cell("topOutgoing") === "", rows[i].totalInternalReflection);
+        });
+    });
+
+    it("quotes the fields holding commas, quotes or line breaks", () => {
+        const columns = [
+            { key: "name", label: "Name, as typed" },
+            { key: "value", label: "Value", digits: 2 },
+        ];
+        const rows = [
+            { name: 'say "hi"', value: 1.23456789 },
+            { name: "two\nlines", value: null },
+        ];
+        assert.equal(toCSV(columns, rows), '"Name, as typed",Value\n"say ""hi""",1.234568\n"two\nlines",\n');
+    });
+
+    it("sorts by a column with the empty values last", () => {
+        const rows = [{ exitAngle: 3 }, { exitAngle: null }, { exitAngle: 1 }, { exitAngle: 2 }];
+        assert.deepEqual(sortRows(rows, "exitAngle").map((row) => row.exitAngle), [1, 2, 3, null]);
+        assert.deepEqual(sortRows(rows, "exitAngle", true).map((row) => row.exitAngle), [3, 2, 1, null]);
+    });
+});
+
+describe("figure", () => {
+    const trace = { ...traceScene(SCENE), wavelength: 589.3 };
+    const figure = buildFigure(
+        {
+            box: [
+                [0, 0],
+                [200, 150],
+            ],
+            prism: PRISM,
+            sources: SCENE.sources,
+            detector: DETECTOR,
+            traces: [trace],
+            annotatedRays: [trace.rays[0]],
+            caption: "Sample n < 1.31\nθc from the prism",
+        },
+        { width: 160 }
+    );
+
+    it("scales the scene to the width of the figure and keeps room for the caption", () => {
+        assert.equal(figure.width, 160);
+        assert.ok(figure.height > 150 * 0.8);
+        const prism = figure.items.find((item) => item.type === "path" && item.closed && item.fill === null);
+        assert.deepEqual(prism.points, PRISM.map(([x, y]) => [x * 0.8, y * 0.8]));
+        assert.ok(figure.items.some((item) => item.type === "text" && item.text.startsWith("θc ")));
+    });
+
+    it("writes every item in the SVG, escaping the text", () => {
+        const svg = figureToSVG(figure);
+        assert.ok(svg.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="160mm"'));
+        assert.ok(svg.endsWith("</svg>\n"));
+        const count = (pattern) => (svg.match(pattern) || []).length;
+        assert.equal(count(/<path /g), figure.items.filter((item) => item.type === "path").length);
+        assert.equal(count(/<circle /g), figure.items.filter((item) => item.type === "circle").length);
+        assert.equal(count(/<text /g), figure.items.filter((item) => item.type === "text").length);
+        assert.ok(svg.includes("Sample n &lt; 1.31"));
+    });
+
+    it("writes a PDF whose cross-reference table points at its objects", () => {
+        const pdf = figureToPDF(figure);
+        assert.ok(pdf.startsWith("%PDF-1.4\n"));
+        assert.ok(pdf.endsWith("%%EOF\n"));
+        assert.ok(pdf.includes("/MediaBox [0 0 595.28 841.89]"));
+
+        const startxref = Number(pdf.match(/startxref\n(\d+)\n/)[1]);
+        assert.ok(pdf.startsWith("xref\n", startxref));
+        const offsets = pdf
+            .slice(startxref)
+            .split("\n")
+            .filter((line) => / 00000 n $/.test(line))
+            .map((line) => Number(line.slice(0, 10)));
+        assert.equal(offsets.length, 6);
+        offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, offset), `object ${i + 1}`));
+
+        const [, length, stream] = pdf.match(/<< \/Length (\d+) >>\nstream\n([\s\S]*)\nendstream/);
+        assert.equal(stream.length, Number(length));
+        // θ comes from the Symbol font
+        assert.ok(stream.includes("/F2 8 Tf (q) Tj /F1 8 Tf (c from the prism) Tj"));
+    });
+});
@@ -0,0 +1,160 @@
+// Reference scenes: every one reads its sample on the detector, checked against the catalog index, and its ray paths
+// and reading are compared with their recorded output. After an intended change of the results, run the suite with
+// UPDATE_GOLDEN=1 to record them again, and review the diff of test/golden
+const assert = require("assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { describe, it } = require("node:test");
+
+const { catalogMaterial, DEFAULT_PRISM_ABBE, DEFAULT_SAMPLE_ABBE, PRISM_MATERIALS, SAMPLE_MATERIALS } = require("../src/catalog");
+const { detectorFromPrism, measureSampleIndex, readDetector } = require("../src/detector");
+const { POLARIZATIONS } = require("../src/fresnel");
+const { FACES, PRISM_SHAPES, trapezoidPrism, trianglePrism } = require("../src/geometry");
+const { SPECTRA } = require("../src/materials");
+const { DISTRIBUTIONS, SOURCE_TYPES } = require("../src/sources");
+const { atTemperature, linearThermal } = require("../src/thermal");
+const { traceSpectrum } = require("../src/tracer");
+
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+// Relative tolerance of the comparison, well above the rounding differences between platforms
+const TOLERANCE = 1e-9;
+// The sources launch their rays 0.25° apart around the boundary ray, which puts the reading within this of the index
+const INDEX_TOLERANCE = 1.5e-3;
+const DETECTOR_DISTANCE = 60;
+const DETECTOR_BINS = 200;
+
+const BOUNDS = [
+    [-300, -300],
+    [700, 700],
+];
+
+function triangle({ frontAngle, backAngle }) {
+    return trianglePrism([160 - 75 * Math.SQRT2, 8], 150 * Math.SQRT2, frontAngle, backAngle);
+}
+
+const DIPPING = PRISM_SHAPES.DIPPING.trapezoid;
+
+// Point source aimed at the middle of the top face along the boundary ray, its rays straddle the critical angle
+function source(position, angle) {
+    return { type: SOURCE_TYPES.POINT, position, angle, numRays: 40, spread: 0.25, width: 40, distribution: DISTRIBUTIONS.LAMBERTIAN, seed: 12345 };
+}
+
+const SCENES = {
+    "right-angle-custom": {
+        prism: triangle(PRISM_SHAPES.RIGHT_ANGLE),
+        prismMaterial: catalogMaterial("Custom", 1.5046, { abbeNumber: DEFAULT_PRISM_ABBE, thermal: linearThermal(0) }),
+        sampleMaterial: catalogMaterial("Custom", 1.3, { abbeNumber: DEFAULT_SAMPLE_ABBE, thermal: linearThermal(0) }),
+        sources: [source([56, 62.3], -22.4)],
+        spectrum: "SODIUM",
+        polarization: POLARIZATIONS.UNPOLARIZED,
+    },
+    "right-angle-bk7-water-white": {
+        prism: triangle(PRISM_SHAPES.RIGHT_ANGLE),
+        prismMaterial: PRISM_MATERIALS.N_BK7,
+        sampleMaterial: SAMPLE_MATERIALS.WATER,
+        sources: [source([53.5, 58.7], -19.5)],
+        spectrum: "WHITE",
+        polarization: POLARIZATIONS.UNPOLARIZED,
+    },
+    "abbe-f2-sucrose-s": {
+        prism: triangle(PRISM_SHAPES.ABBE),
+        prismMaterial: PRISM_MATERIALS.F2,
+        sampleMaterial: SAMPLE_MATERIALS.SUCROSE_40,
+        sources: [source([67.5, 43.2], -6.4)],
+        spectrum: "FRAUNHOFER",
+        polarization: POLARIZATIONS.S,
+    },
+    // The exit face of the Pulfrich prism totally reflects the boundary of samples below sqrt(nPrism² - 1), with
+    // benzene the prism is F2
+    "pulfrich-f2-benzene-35C": {
+        prism: triangle(PRISM_SHAPES.PULFRICH),
+        prismMaterial: atTemperature(PRISM_MATERIALS.F2, 35),
+        sampleMaterial: atTemperature(SAMPLE_MATERIALS.BENZENE, 35),
+        sources: [source([45.9, 44.9], -7.6)],
+        spectrum: "SODIUM",
+        polarization: POLARIZATIONS.P,
+    },
+    "dipping-bk7-glycerol": {
+        prism: trapezoidPrism([120, 8], DIPPING.length, DIPPING.height, DIPPING.sideAngle),
+        prismMaterial: PRISM_MATERIALS.N_BK7,
+        sampleMaterial: SAMPLE_MATERIALS.GLYCEROL,
+        sources: [source([84.4, 43.2], -37.6)],
+        spectrum: "SODIUM",
+        polarization: POLARIZATIONS.UNPOLARIZED,
+    },
+};
+
+// What a scene gives: the path of every ray in short, and what the detector reads from them
+function sceneOutput(scene) {
+    const traces = traceSpectrum(
+        { prism: scene.prism, nAir: 1, sources: scene.sources, bounds: BOUNDS, polarization: scene.polarization },
+        scene.prismMaterial,
+        scene.sampleMaterial,
+        SPECTRA[scene.spectrum].wavelengths
+    );
+    const detector = detectorFromPrism(scene.prism, DETECTOR_DISTANCE);
+    const reading = readDetector({ rays: traces.flatMap((trace) => trace.rays) }, detector, DETECTOR_BINS);
+
+    return {
+        // Number of rays of every path through the prism, a star marks a reflection
+        traces: traces.map((trace) => {
+            const paths = {};
+            trace.rays.forEach((ray) => {
+                const path = ray.hits.map((hit) => `${hit.face}${hit.reflected ? "*" : ""}`).join(" ");
+                paths[path] = (paths[path] || 0) + 1;
+            });
+            return { wavelength: trace.wavelength, criticalAngle: trace.criticalAngle, paths };
+        }),
+        edgePosition: reading.edgePosition,
+        measuredIndex: reading.edgeDirection === null ? null : measureSampleIndex(scene.prism, scene.prismMaterial.nD, reading.edgeDirection),
+    };
+}
+
+// Deep comparison with a relative tolerance on the numbers
+function assertMatches(actual, expected, location) {
+    if (typeof expected === "number" && typeof actual === "number") {
+        const scale = Math.max(1, Math.abs(expected));
+        assert.ok(Math.abs(actual - expected) <= TOLERANCE * scale, `${location}: expected ${expected}, got ${actual}`);
+    } else if (Array.isArray(expected)) {
+        assert.ok(Array.isArray(actual) && actual.length === expected.length, `${location}: expected ${expected.length} items`);
+        expected.forEach((item, i) => assertMatches(actual[i], item, `${location}[${i}]`));
+    } else if (expected !== null && typeof expected === "object") {
+        assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${location}: keys`);
+        Object.keys(expected).forEach((key) => assertMatches(actual[key], expected[key], `${location}.${key}`));
+    } else {
+        assert.equal(actual, expected, location);
+    }
+}
+
+describe("reference scenes", () => {
+    Object.entries(SCENES).forEach(([name, scene]) => {
+        it(`${name} measures the sample index`, () => {
+            const output = sceneOutput(scene);
+            assert.ok(output.measuredIndex !== null, "no boundary on the detector");
+            assert.ok(
+                Math.abs(output.measuredIndex - scene.sampleMaterial.nD) <= INDEX_TOLERANCE,
+                `measured ${output.measuredIndex}, the sample index is ${scene.sampleMaterial.nD}`
+            );
+        });
+
+        it(`${name} sends every ray into the front face`, () => {
+            sceneOutput(scene).traces.forEach((trace) => {
+                Object.keys(trace.paths).forEach((path) => assert.ok(path.startsWith(FACES.FRONT), `${trace.wavelength} nm: ${path}`));
+            });
+        });
+
+        it(`${name} matches its recorded output`, () => {
+            const file = path.join(GOLDEN_DIR, `${name}.json`);
+            // JSON has no NaN, the scenes all have a critical angle
+            const output = JSON.parse(JSON.stringify(sceneOutput(scene)));
+
+            if (UPDATE) {
+                fs.writeFileSync(file, `${JSON.stringify(output, null, 2)}\n`);
+                return;
+            }
+            assert.ok(fs.existsSync(file), `No golden output for ${name}, record it with UPDATE_GOLDEN=1`);
+            assertMatches(output, JSON.parse(fs.readFileSync(file, "utf8")), name);
+        });
+    });
+});
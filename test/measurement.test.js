@@ -0,0 +1,194 @@
+// What the refractometer reads: the inverse problem of the prism, the concentration tables and the temperature
+// compensation, against their analytic results
+const assert = require("assert/strict");
+const { describe, it } = require("node:test");
+
+const { catalogMaterial, PRISM_MATERIALS, SAMPLE_MATERIALS } = require("../src/catalog");
+const { concentrationToIndex, indexToConcentration, interpolate, maxConcentration, SOLUTES, thermalCoefficient } = require("../src/concentration");
+const { FACES, faceByRole, PRISM_SHAPES, prismFaces, trianglePrism } = require("../src/geometry");
+const { boundaryExitAngle, solveSampleIndex, solveWithUncertainty } = require("../src/inverse");
+const { MathVec } = require("../src/math");
+const { atTemperature, linearThermal, shadowLineAngles, tabulatedThermal, temperatureReadings } = require("../src/thermal");
+
+const TOLERANCE = 1e-9;
+const DEGREES = Math.PI / 180;
+
+function assertClose(actual, expected, message, tolerance = TOLERANCE) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+function triangle({ frontAngle, backAngle }) {
+    return trianglePrism([160 - 75 * Math.SQRT2, 8], 150 * Math.SQRT2, frontAngle, backAngle);
+}
+
+// Direction of the rays leaving the back face at the given angle from its normal, as the detector reads them
+function exitDirection(prism, exitAngle) {
+    return MathVec.rotate2d(...faceByRole(prismFaces(prism), FACES.BACK).normal, exitAngle);
+}
+
+describe("inverse problem", () => {
+    const nPrism = 1.7;
+
+    it("leaves the right angle prism by Snell's law at the back face, 45° from the top one", () => {
+        const prism = triangle(PRISM_SHAPES.RIGHT_ANGLE);
+        [1.2, 1.33, 1.45, 1.6].forEach((nSample) => {
+            const criticalAngle = Math.asin(nSample / nPrism);
+            const exitAngle = boundaryExitAngle(prism, nPrism, nSample);
+            assertClose(Math.abs(Math.sin(exitAngle)), nPrism * Math.abs(Math.sin(criticalAngle - 45 * DEGREES)), `sample ${nSample}`);
+        });
+    });
+
+    it("gives the Pulfrich relation with a 90° exit face", () => {
+        const prism = triangle(PRISM_SHAPES.PULFRICH);
+        [1.45, 1.5, 1.6].forEach((nSample) => {
+            const exitAngle = boundaryExitAngle(prism, nPrism, nSample);
+            assertClose(Math.sqrt(nPrism * nPrism - Math.sin(exitAngle) ** 2), nSample, `sample ${nSample}`);
+        });
+    });
+
+    it("has no boundary for a sample denser than the prism or one totally reflected by the back face", () => {
+        assert.equal(boundaryExitAngle(triangle(PRISM_SHAPES.RIGHT_ANGLE), nPrism, 1.75), null);
+        // sqrt(1.7² - 1) is above 1.33, so the exit face of the Pulfrich prism reflects the boundary of water
+        assert.equal(boundaryExitAngle(triangle(PRISM_SHAPES.PULFRICH), nPrism, 1.33), null);
+    });
+
+    it("finds back the sample index from the exit angle of its boundary", () => {
+        [PRISM_SHAPES.RIGHT_ANGLE, PRISM_SHAPES.ABBE, PRISM_SHAPES.PULFRICH].forEach((shape) => {
+            const prism = triangle(shape);
+            [1.3, 1.333, 1.4, 1.45, 1.5, 1.6, 1.69].forEach((nSample) => {
+                const exitAngle = boundaryExitAngle(prism, nPrism, nSample);
+                if (exitAngle !== null) {
+                    assertClose(solveSampleIndex(prism, nPrism, exitAngle), nSample, `${shape.name}, sample ${nSample}`);
+                }
+            });
+        });
+    });
+
+    it("solves in a surrounding medium other than air", () => {
+        const prism = triangle(PRISM_SHAPES.RIGHT_ANGLE);
+        const exitAngle = boundaryExitAngle(prism, nPrism, 1.4, 1.333);
+        assertClose(solveSampleIndex(prism, nPrism, exitAngle, 1.333), 1.4, "sample in water");
+    });
+
+    it("has no solution for an angle the prism can't give", () => {
+        assert.equal(solveSampleIndex(triangle(PRISM_SHAPES.RIGHT_ANGLE), nPrism, 80 * DEGREES), null);
+    });
+
+    it("propagates the uncertainty of the angle through the slope of the forward model", () => {
+        const prism = triangle(PRISM_SHAPES.RIGHT_ANGLE);
+        const exitAngle = boundaryExitAngle(prism, nPrism, 1.4);
+        const step = 1e-6;
+        const slope = Math.abs((boundaryExitAngle(prism, nPrism, 1.4 + step) - boundaryExitAngle(prism, nPrism, 1.4 - step)) / (2 * step));
+
+        assert.deepEqual(solveWithUncertainty(prism, nPrism, exitAngle, 0), { nSample: solveSampleIndex(prism, nPrism, exitAngle), uncertainty: 0 });
+        const solution = solveWithUncertainty(prism, nPrism, exitAngle, 0.01 * DEGREES);
+        assertClose(solution.nSample, 1.4, "index");
+        assertClose(solution.uncertainty, (0.01 * DEGREES) / slope, "uncertainty", 1e-6);
+    });
+});
+
+describe("concentration", () => {
+    it("interpolates linearly and extrapolates from the end segments", () => {
+        const table = [
+            [0, 1],
+            [10, 2],
+            [20, 6],
+        ];
+        assert.equal(interpolate(table, 5), 1.5);
+        assert.equal(interpolate(table, 15), 4);
+        assert.equal(interpolate(table, -10), 0);
+        assert.equal(interpolate(table, 30), 10);
+    });
+
+    it("reads the tables at the reference temperature", () => {
+        assert.equal(concentrationToIndex(SOLUTES.SUCROSE, 40), 1.39986);
+        assert.equal(concentrationToIndex(SOLUTES.NACL, 10), 1.3505);
+        assert.equal(maxConcentration(SOLUTES.SUCROSE), 85);
+    });
+
+    it("shifts the index by the thermal coefficient of the concentration", () => {
+        assertClose(thermalCoefficient(SOLUTES.SUCROSE, 30), -1.4e-4, "coefficient", 1e-15);
+        assertClose(concentrationToIndex(SOLUTES.SUCROSE, 30, 30), 1.38115 - 1.4e-3, "index at 30 °C");
+    });
+
+    it("finds back the concentration from the index at any temperature", () => {
+        Object.values(SOLUTES).forEach((solute) => {
+            [0, 3, 12.5, 20].forEach((concentration) => {
+                [10, 20, 35].forEach((temperature) => {
+                    const index = concentrationToIndex(solute, concentration, temperature);
+                    assertClose(indexToConcentration(solute, index, temperature), concentration, `${solute.name} ${concentration} at ${temperature} °C`, 1e-6);
+                });
+            });
+        });
+    });
+
+    it("takes the lowest concentration where the index stops growing", () => {
+        // Ethanol goes through 1.365 twice, between 60 and 70 % and again past 80 %
+        const concentration = indexToConcentration(SOLUTES.ETHANOL, 1.365);
+        assert.ok(concentration > 60 && concentration < 70, `got ${concentration}`);
+        assert.equal(indexToConcentration(SOLUTES.ETHANOL, 1.367), null);
+    });
+
+    it("has no concentration for an index out of the table", () => {
+        assert.equal(indexToConcentration(SOLUTES.SUCROSE, 1.3), null);
+        assert.equal(indexToConcentration(SOLUTES.SUCROSE, 1.52), null);
+    });
+});
+
+describe("temperature", () => {
+    it("shifts the indices from the reference temperature", () => {
+        const linear = linearThermal(-2e-4);
+        assertClose(linear(20), 0, "linear at the reference temperature");
+        assertClose(linear(45), -5e-3, "linear");
+
+        const water = tabulatedThermal([
+            [10, 1.33369],
+            [20, 1.33299],
+            [30, 1.33192],
+        ]);
+        assertClose(water(20), 0, "tabulated at the reference temperature");
+        assertClose(water(25), (1.33192 - 1.33299) / 2, "tabulated");
+        assertClose(water(0), 2 * (1.33369 - 1.33299), "extrapolated");
+    });
+
+    it("moves the whole dispersion curve with the temperature", () => {
+        const glycerol = atTemperature(SAMPLE_MATERIALS.GLYCEROL, 30);
+        assertClose(glycerol.nD, 1.4729 - 2.7e-3, "nD");
+        assertClose(glycerol.index(486.1), SAMPLE_MATERIALS.GLYCEROL.index(486.1) - 2.7e-3, "F line");
+        assert.equal(atTemperature(SAMPLE_MATERIALS.GLYCEROL, 20).nD, 1.4729);
+    });
+
+    it("compensates the reading back to the index at the reference temperature", () => {
+        const prism = triangle(PRISM_SHAPES.RIGHT_ANGLE);
+        const prismMaterial = PRISM_MATERIALS.F2;
+        const sample = SAMPLE_MATERIALS.SUCROSE_40;
+        [5, 20, 40].forEach((temperature) => {
+            const exitAngle = boundaryExitAngle(prism, atTemperature(prismMaterial, temperature).nD, atTemperature(sample, temperature).nD);
+            const { raw, compensated } = temperatureReadings(prism, prismMaterial, sample.thermal, temperature, exitDirection(prism, exitAngle));
+            assertClose(compensated, sample.nD, `compensated at ${temperature} °C`);
+            if (temperature === 20) {
+                assertClose(raw, sample.nD, "raw at the reference temperature");
+            }
+        });
+    });
+
+    it("reads the sample as it is when the prism doesn't change with the temperature", () => {
+        const prism = triangle(PRISM_SHAPES.ABBE);
+        const prismMaterial = catalogMaterial("Stable", 1.62, { abbeNumber: 36, thermal: linearThermal(0) });
+        const sample = SAMPLE_MATERIALS.WATER;
+        const exitAngle = boundaryExitAngle(prism, prismMaterial.nD, atTemperature(sample, 50).nD);
+        const { raw, compensated } = temperatureReadings(prism, prismMaterial, sample.thermal, 50, exitDirection(prism, exitAngle));
+        // Water cools by 405e-5 from 20 to 50 °C in the table
+        assertClose(raw, sample.nD + 1.32894 - 1.33299, "raw");
+        assertClose(compensated, sample.nD, "compensated");
+    });
+
+    it("moves the shadow line only away from the reference temperature", () => {
+        const prism = triangle(PRISM_SHAPES.RIGHT_ANGLE);
+        const reference = shadowLineAngles(prism, PRISM_MATERIALS.N_BK7, SAMPLE_MATERIALS.WATER, 20);
+        assert.equal(reference.actual, reference.reference);
+        const warm = shadowLineAngles(prism, PRISM_MATERIALS.N_BK7, SAMPLE_MATERIALS.WATER, 40);
+        assert.equal(warm.reference, reference.reference);
+        assert.notEqual(warm.actual, warm.reference);
+    });
+});
@@ -0,0 +1,180 @@
+// Snell's law, the critical angle and the total internal reflection against their analytic results
+const assert = require("assert/strict");
+const { describe, it } = require("node:test");
+
+const { fresnelReflectance } = require("../src/fresnel");
+const { FACES, trianglePrism } = require("../src/geometry");
+const { MathVec } = require("../src/math");
+const { createSource, SOURCE_TYPES } = require("../src/sources");
+const { interact, traceScene } = require("../src/tracer");
+
+const TOLERANCE = 1e-12;
+const DEGREES = Math.PI / 180;
+
+function assertClose(actual, expected, message, tolerance = TOLERANCE) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// Unit direction going down onto a horizontal surface, at the given angle from its normal
+function incoming(angle) {
+    return [Math.sin(angle), Math.cos(angle)];
+}
+
+describe("MathVec", () => {
+    it("measures angles counterclockwise in the x right, y down frame", () => {
+        assertClose(MathVec.angleBetween([1, 0], [0, 1]), Math.PI / 2, "quarter turn");
+        assertClose(MathVec.angleBetween([0, 1], [1, 0]), -Math.PI / 2, "reverse quarter turn");
+        assertClose(MathVec.angleBetween([1, 0], [1, 0]), 0, "same direction");
+    });
+
+    it("reflects with the same angle on the other side of the normal", () => {
+        const normal = [0, -1];
+        for (let angle = -80; angle <= 80; angle += 10) {
+            const direction = incoming(angle * DEGREES);
+            const reflected = MathVec.reflect(direction, normal);
+            assertClose(reflected[0], direction[0], `tangential part at ${angle}°`);
+            assertClose(reflected[1], -direction[1], `normal part at ${angle}°`);
+        }
+    });
+
+    it("refracts following Snell's law, on either side of the normal", () => {
+        [
+            [1, 1.5],
+            [1.5, 1],
+            [1.5046, 1.3],
+            [1.33, 1.33],
+        ].forEach(([n1, n2]) => {
+            for (let angle = -85; angle <= 85; angle += 5) {
+                const theta = angle * DEGREES;
+                if (Math.abs((n1 / n2) * Math.sin(theta)) >= 1) {
+                    continue;
+                }
+                [
+                    [0, -1],
+                    [0, 1],
+                ].forEach((normal) => {
+                    const refracted = MathVec.refract(incoming(theta), normal, n1, n2);
+                    const label = `${n1} → ${n2} at ${angle}°, normal ${normal}`;
+                    assertClose(MathVec.length(refracted), 1, `${label}, unit length`);
+                    assertClose(n2 * refracted[0], n1 * Math.sin(theta), `${label}, tangential component`);
+                    assert.ok(refracted[1] > 0, `${label}, keeps going through the surface`);
+                });
+            }
+        });
+    });
+
+    it("refracts nothing past the critical angle", () => {
+        const critical = Math.asin(1.3 / 1.5046);
+        assert.notEqual(MathVec.refract(incoming(critical - 1e-6), [0, -1], 1.5046, 1.3), null);
+        assert.equal(MathVec.refract(incoming(critical + 1e-6), [0, -1], 1.5046, 1.3), null);
+        assert.equal(MathVec.refract(incoming(-critical - 1e-6), [0, -1], 1.5046, 1.3), null);
+    });
+});
+
+describe("interact", () => {
+    it("gives incidence and refraction angles with the same sign, related by Snell's law", () => {
+        for (let angle = -80; angle <= 80; angle += 10) {
+            const result = interact(incoming(angle * DEGREES), [0, -1], 1, 1.5);
+            assert.equal(result.reflected, false);
+            assertClose(result.incidenceAngle, -angle * DEGREES, `incidence at ${angle}°`);
+            assertClose(Math.sin(result.outgoingAngle) * 1.5, Math.sin(result.incidenceAngle), `Snell's law at ${angle}°`);
+        }
+    });
+
+    it("classifies the total internal reflection at the critical angle", () => {
+        const [n1, n2] = [1.5046, 1.3];
+        const critical = Math.asin(n2 / n1);
+        for (let angle = 0; angle < 90; angle += 0.5) {
+            const theta = angle * DEGREES;
+            if (Math.abs(theta - critical) < 1e-9) {
+                continue;
+            }
+            const result = interact(incoming(theta), [0, -1], n1, n2);
+            assert.equal(result.reflected, theta > critical, `at ${angle}°`);
+            if (result.reflected) {
+                assertClose(Math.abs(result.outgoingAngle), theta, `reflection angle at ${angle}°`, 1e-9);
+            }
+        }
+    });
+
+    it("gives the Fresnel reflectance of normal incidence and a full reflection past the critical angle", () => {
+        const normal = fresnelReflectance(1, 1.5, 0);
+        assertClose(normal.s, 0.04, "s at normal incidence");
+        assertClose(normal.p, 0.04, "p at normal incidence");
+
+        const brewster = fresnelReflectance(1, 1.5, Math.atan(1.5));
+        assertClose(brewster.p, 0, "p at the Brewster angle");
+
+        const beyond = fresnelReflectance(1.5046, 1.3, Math.asin(1.3 / 1.5046) + 0.01);
+        assert.deepEqual(beyond, { s: 1, p: 1, unpolarized: 1 });
+    });
+});
+
+describe("traceScene", () => {
+    const prism = trianglePrism([50, 8], 150 * Math.SQRT2, 45, 45);
+    const scene = (nPrism, nSample) => ({
+        prism,
+        nPrism,
+        nSample,
+        sources: [{ ...createSource(SOURCE_TYPES.POINT, [24, 49.6]), numRays: 60, spread: 1.5, seed: 1 }],
+        bounds: [
+            [-300, -300],
+            [600, 600],
+        ],
+    });
+
+    it("computes the critical angle of the prism/sample interface", () => {
+        [
+            [1.5046, 1.3],
+            [1.5168, 1.333],
+            [1.7847, 1.5011],
+        ].forEach(([nPrism, nSample]) => {
+            assertClose(traceScene(scene(nPrism, nSample)).criticalAngle, Math.asin(nSample / nPrism), `${nSample} on ${nPrism}`);
+        });
+    });
+
+    it("totally reflects exactly the rays reaching the top face past the critical angle", () => {
+        const result = traceScene(scene(1.5046, 1.3));
+        const topHits = result.rays.map((ray) => ray.hits.find((hit) => hit.face === FACES.TOP)).filter((hit) => hit !== undefined);
+
+        assert.ok(topHits.some((hit) => hit.reflected) && topHits.some((hit) => !hit.reflected), "the rays straddle the critical angle");
+        result.rays.forEach((ray, i) => {
+            const hit = ray.hits.find((h) => h.face === FACES.TOP);
+            if (hit !== undefined) {
+                assert.equal(ray.totalInternalReflection, Math.abs(hit.incidenceAngle) > result.criticalAngle, `ray ${i}`);
+                assert.equal(ray.reflectance === 1, ray.totalInternalReflection, `reflectance of ray ${i}`);
+            }
+        });
+    });
+
+    it("refracts into the prism following Snell's law at the front face", () => {
+        traceScene(scene(1.5046, 1.3)).rays.forEach((ray, i) => {
+            const front = ray.hits[0];
+            if (front && front.face === FACES.FRONT) {
+                assertClose(Math.sin(front.incidenceAngle), 1.5046 * Math.sin(front.outgoingAngle), `ray ${i}`, 1e-9);
+            }
+        });
+    });
+
+    it("splits the power between the reflected and the transmitted parts at every face", () => {
+        traceScene(scene(1.5046, 1.3)).rays.forEach((ray, i) => {
+            ray.hits.forEach((hit, h) => {
+                const before = ray.segments[h].intensity;
+                const after = ray.segments[h + 1] === undefined ? null : ray.segments[h + 1].intensity;
+                if (hit.face === FACES.TOP) {
+                    assert.equal(hit.transmitted === null, hit.reflected, `ray ${i} at the top face`);
+                    const transmitted = hit.transmitted === null ? 0 : hit.transmitted.intensity;
+                    assertClose(after + transmitted, before, `ray ${i} at the top face`);
+                } else if (after !== null && !hit.reflected) {
+                    assertClose(after, before * (1 - hit.reflectance), `ray ${i} at the ${hit.face} face`);
+                }
+            });
+        });
+    });
+
+    it("has no total internal reflection when the sample index is above the prism one", () => {
+        const result = traceScene(scene(1.4, 1.5));
+        assert.ok(Number.isNaN(result.criticalAngle));
+        assert.ok(result.rays.every((ray) => !ray.totalInternalReflection));
+    });
+});
@@ -0,0 +1,19 @@
+// Compile the ES modules of src on the fly with the same Babel preset as the bundle, targeting the running Node
+const babel = require("@babel/core");
+const fs = require("fs");
+const Module = require("module");
+const path = require("path");
+
+const SOURCE_DIR = path.resolve(__dirname, "../src") + path.sep;
+const loadJS = Module._extensions[".js"];
+
+Module._extensions[".js"] = (module, filename) => {
+    if (!filename.startsWith(SOURCE_DIR)) {
+        return loadJS(module, filename);
+    }
+    const { code } = babel.transformSync(fs.readFileSync(filename, "utf8"), {
+        filename,
+        presets: [["@babel/preset-env", { targets: { node: "current" } }]],
+    });
+    return module._compile(code, filename);
+};
@@ -8,13 +8,20 @@ const { SourceMapDevToolPlugin } = require("webpack");
 // Here you write different options and tell Webpack what to do
 module.exports = {
     // Path to your entry point. From this file Webpack will begin his work
-    entry: path.resolve(__dirname, "./src/index.js"),
+    // The page is the bundle, the simulator alone is also built as a library for the pages embedding it
+    entry: {
+        bundle: path.resolve(__dirname, "./src/index.js"),
+        refractometer: {
+            import: path.resolve(__dirname, "./src/library.js"),
+            library: { name: "Refractometer", type: "umd" },
+        },
+    },
 
     // Path and filename of your result bundle.
     // Webpack will bundle all JavaScript into this file
     output: {
         path: path.resolve(__dirname, "dist"),
-        filename: "bundle.js",
+        filename: "[name].js",
     },
     devServer: {
         contentBase: path.resolve(__dirname, "./dist/"),
@@ -87,10 +94,11 @@ module.exports = {
     },
     plugins: [
         new MiniCssExtractPlugin({
-            filename: "styles.css",
+            filename: "[name].css",
         }),
         new HtmlWebpackPlugin({
             template: "public/index.html",
+            chunks: ["bundle"],
             minify: false,
         }),
         process.env.NODE_ENV === "development"